@@ -0,0 +1,1236 @@
+import EventEmitter from 'events';
+import Promise from 'bluebird';
+import isUndefined from 'lodash/isUndefined';
+import omitBy from 'lodash/omitBy';
+import uuid from 'uuid';
+import matchTopic from './topic';
+
+const DIRECT_REPLY_QUEUE = 'amq.rabbitmq.reply-to';
+
+const brokers = new Map();
+
+/**
+ * Indicates whether the supplied headers match the given headers-exchange binding arguments.
+ * @param {Object} args binding arguments
+ * @param {Object} headers message headers
+ * @returns {boolean}
+ */
+function matchHeaders(args = {}, headers = {}) {
+  const keys = Object.keys(args).filter((key) => !key.startsWith('x-'));
+  const test = (key) => {
+    return Object.prototype.hasOwnProperty.call(headers, key) && headers[key] === args[key];
+  };
+  return args['x-match'] === 'any' ? keys.some(test) : keys.every(test);
+}
+
+/**
+ * Creates a new error, mimicking an AMQP channel error.
+ * @param {number} code
+ * @param {string} text
+ * @returns {Error}
+ */
+function createChannelError(code, text) {
+  const err = new Error(`Channel closed by server: ${code} with message "${text}"`);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Returns a copy of the supplied message properties, in the shape amqplib delivers them.
+ * @param {Object} [options]
+ * @returns {Object}
+ */
+function toProperties(options = {}) {
+  let deliveryMode;
+  if (!isUndefined(options.persistent)) {
+    deliveryMode = options.persistent ? 2 : 1;
+  } else if (typeof options.deliveryMode === 'number') {
+    ({ deliveryMode } = options);
+  } else if (options.deliveryMode) {
+    deliveryMode = 2;
+  }
+
+  return {
+    contentType: options.contentType,
+    contentEncoding: options.contentEncoding,
+    headers: Object.assign({}, options.headers),
+    deliveryMode,
+    priority: options.priority,
+    correlationId: options.correlationId,
+    replyTo: options.replyTo,
+    expiration: isUndefined(options.expiration) ? undefined : String(options.expiration),
+    messageId: options.messageId,
+    timestamp: options.timestamp,
+    type: options.type,
+    userId: options.userId,
+    appId: options.appId,
+    clusterId: undefined
+  };
+}
+
+class MemoryChannel extends EventEmitter {
+  /**
+   * Constructs new in-memory channel.
+   * @param {MemoryConnection} connection
+   * @param {boolean} [confirm=false] whether to act as a confirm channel
+   * @constructor
+   */
+  constructor(connection, confirm = false) {
+    super();
+    this.id = uuid.v4();
+    this.connection = connection;
+    this.broker = connection.broker;
+    this.confirm = confirm;
+    this.closed = false;
+    this.prefetchCount = 0;
+    this.deliveryTag = 0;
+    this.unacked = new Map();
+    this.consumers = new Map();
+  }
+
+  /**
+   * Runs the supplied operation, unless channel is closed.
+   * An error thrown by the operation closes the channel, as with AMQP.
+   * @param {Function} fn
+   * @returns {Promise}
+   */
+  operation(fn) {
+    if (this.closed) {
+      return Promise.reject(new Error('Channel closed'));
+    }
+
+    return Promise.resolve().then(() => {
+      if (this.closed) {
+        throw new Error('Channel closed');
+      }
+      try {
+        return fn();
+      } catch (err) {
+        this.destroy(err);
+        throw err;
+      }
+    });
+  }
+
+  /**
+   * Closes the channel, requeueing any unacknowledged messages.
+   * @param {Error} [err]
+   */
+  destroy(err) {
+    if (this.closed) {
+      return;
+    }
+
+    this.closed = true;
+    this.consumers.forEach((consumer) => this.broker.removeConsumer(consumer));
+    this.consumers.clear();
+    const unacked = Array.from(this.unacked.values());
+    this.unacked.clear();
+    unacked.reverse().forEach(({ queue, message }) => this.broker.requeue(queue, message));
+    this.connection.channels.delete(this);
+
+    if (err) {
+      this.emit('error', err);
+    }
+    this.emit('close');
+  }
+
+  /**
+   * Closes the channel.
+   * @returns {Promise}
+   */
+  close() {
+    if (this.closed) {
+      return Promise.reject(new Error('Channel closed'));
+    }
+    this.destroy();
+    return Promise.resolve();
+  }
+
+  /**
+   * Asserts the designated exchange, as in amqplib.
+   * @param {string} exchange
+   * @param {string} type
+   * @param {Object} [options]
+   * @returns {Promise<Object>}
+   */
+  assertExchange(exchange, type, options = {}) {
+    return this.operation(() => {
+      this.broker.assertExchange(exchange, type, options);
+      return { exchange };
+    });
+  }
+
+  /**
+   * Checks the designated exchange exists; closes the channel otherwise, as in amqplib.
+   * @param {string} exchange
+   * @returns {Promise<Object>}
+   */
+  checkExchange(exchange) {
+    return this.operation(() => {
+      this.broker.getExchange(exchange);
+      return {};
+    });
+  }
+
+  /**
+   * Deletes the designated exchange, as in amqplib.
+   * @param {string} exchange
+   * @returns {Promise<Object>}
+   */
+  deleteExchange(exchange) {
+    return this.operation(() => {
+      this.broker.deleteExchange(exchange);
+      return {};
+    });
+  }
+
+  /**
+   * Asserts the designated queue, as in amqplib; an empty name generates a unique queue name.
+   * @param {string} [queue]
+   * @param {Object} [options]
+   * @returns {Promise<Object>}
+   */
+  assertQueue(queue = '', options = {}) {
+    return this.operation(() => this.broker.assertQueue(queue, options, this.connection));
+  }
+
+  /**
+   * Checks the designated queue exists; closes the channel otherwise, as in amqplib.
+   * @param {string} queue
+   * @returns {Promise<Object>} i.e. { queue, messageCount, consumerCount }
+   */
+  checkQueue(queue) {
+    return this.operation(() => {
+      const q = this.broker.getQueue(queue);
+      return { queue, messageCount: q.messages.length, consumerCount: q.consumers.length };
+    });
+  }
+
+  /**
+   * Deletes the designated queue, as in amqplib.
+   * @param {string} queue
+   * @returns {Promise<Object>} i.e. { messageCount }
+   */
+  deleteQueue(queue) {
+    return this.operation(() => ({ messageCount: this.broker.deleteQueue(queue) }));
+  }
+
+  /**
+   * Removes all ready messages from the designated queue, as in amqplib.
+   * @param {string} queue
+   * @returns {Promise<Object>} i.e. { messageCount }
+   */
+  purgeQueue(queue) {
+    return this.operation(() => {
+      const q = this.broker.getQueue(queue);
+      const messageCount = q.messages.length;
+      q.messages.forEach((message) => clearTimeout(message.timer));
+      q.messages = [];
+      return { messageCount };
+    });
+  }
+
+  /**
+   * Binds the designated queue to the given exchange, as in amqplib.
+   * @param {string} queue
+   * @param {string} source
+   * @param {string} pattern
+   * @param {Object} [args]
+   * @returns {Promise<Object>}
+   */
+  bindQueue(queue, source, pattern, args = {}) {
+    return this.operation(() => {
+      this.broker.getQueue(queue);
+      this.broker.bind({ queue }, source, pattern, args);
+      return {};
+    });
+  }
+
+  /**
+   * Unbinds the designated queue from the given exchange, as in amqplib.
+   * @param {string} queue
+   * @param {string} source
+   * @param {string} pattern
+   * @param {Object} [args]
+   * @returns {Promise<Object>}
+   */
+  unbindQueue(queue, source, pattern, args = {}) {
+    return this.operation(() => {
+      this.broker.unbind({ queue }, source, pattern, args);
+      return {};
+    });
+  }
+
+  /**
+   * Binds the designated exchange to the given source exchange, as in amqplib.
+   * @param {string} destination
+   * @param {string} source
+   * @param {string} pattern
+   * @param {Object} [args]
+   * @returns {Promise<Object>}
+   */
+  bindExchange(destination, source, pattern, args = {}) {
+    return this.operation(() => {
+      this.broker.getExchange(destination);
+      this.broker.bind({ exchange: destination }, source, pattern, args);
+      return {};
+    });
+  }
+
+  /**
+   * Unbinds the designated exchange from the given source exchange, as in amqplib.
+   * @param {string} destination
+   * @param {string} source
+   * @param {string} pattern
+   * @param {Object} [args]
+   * @returns {Promise<Object>}
+   */
+  unbindExchange(destination, source, pattern, args = {}) {
+    return this.operation(() => {
+      this.broker.unbind({ exchange: destination }, source, pattern, args);
+      return {};
+    });
+  }
+
+  /**
+   * Sets the max number of unacknowledged messages per consumer, as in amqplib; 0 means unlimited.
+   * @param {number} count
+   * @returns {Promise<Object>}
+   */
+  prefetch(count) {
+    return this.operation(() => {
+      this.prefetchCount = count;
+      this.broker.schedule();
+      return {};
+    });
+  }
+
+  /**
+   * Publishes the supplied message, as in amqplib.
+   * On confirm channels, the callback is called once the message is routed; unroutable mandatory messages are returned.
+   * @param {string} exchange
+   * @param {string} routingKey
+   * @param {Buffer} content
+   * @param {Object} [options] message properties
+   * @param {Function} [callback] confirm callback, i.e. function(err) {}
+   * @returns {boolean}
+   */
+  publish(exchange, routingKey, content, options = {}, callback) {
+    if (this.closed) {
+      throw new Error('Channel closed');
+    }
+
+    const properties = toProperties(options);
+
+    // direct reply-to, see https://www.rabbitmq.com/direct-reply-to.html
+    if (properties.replyTo === DIRECT_REPLY_QUEUE) {
+      properties.replyTo = `${DIRECT_REPLY_QUEUE}.${this.id}`;
+    }
+
+    setImmediate(() => {
+      if (this.closed) {
+        return;
+      }
+
+      let err = null;
+      try {
+        const routed = this.broker.publish(exchange, routingKey, content, properties);
+        if (!routed && options.mandatory) {
+          this.emit('return', {
+            fields: {
+              replyCode: 312, replyText: 'NO_ROUTE', exchange, routingKey
+            },
+            properties,
+            content
+          });
+        }
+      } catch (ex) {
+        err = ex;
+        this.destroy(ex);
+      }
+
+      if (this.confirm && callback) {
+        callback(err);
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * Sends the supplied message to the designated queue, via the default exchange.
+   * @param {string} queue
+   * @param {Buffer} content
+   * @param {Object} [options] message properties
+   * @param {Function} [callback] confirm callback, i.e. function(err) {}
+   * @returns {boolean}
+   */
+  sendToQueue(queue, content, options, callback) {
+    return this.publish('', queue, content, options, callback);
+  }
+
+  /**
+   * Resolves once all published messages are confirmed.
+   * @returns {Promise}
+   */
+  waitForConfirms() {
+    return Promise.delay(0);
+  }
+
+  /**
+   * Consumes messages from the designated queue, as in amqplib.
+   * @param {string} queue
+   * @param {Function} callback i.e. function(msg) {}; called with null when the consumer is cancelled by the server
+   * @param {Object} [options]
+   * @returns {Promise<Object>} i.e. { consumerTag }
+   */
+  consume(queue, callback, options = {}) {
+    return this.operation(() => {
+      const consumerTag = options.consumerTag || `amq.ctag-${uuid.v4()}`;
+      if (this.consumers.has(consumerTag)) {
+        throw createChannelError(530, `NOT_ALLOWED - attempt to reuse consumer tag '${consumerTag}'`);
+      }
+
+      const consumer = {
+        consumerTag,
+        queue,
+        callback,
+        channel: this,
+        noAck: !!options.noAck
+      };
+
+      if (queue === DIRECT_REPLY_QUEUE) {
+        consumer.queue = `${DIRECT_REPLY_QUEUE}.${this.id}`;
+        this.broker.assertQueue(consumer.queue, { exclusive: true, autoDelete: true }, this.connection);
+      }
+
+      this.broker.addConsumer(consumer);
+      this.consumers.set(consumerTag, consumer);
+      return { consumerTag };
+    });
+  }
+
+  /**
+   * Cancels the designated consumer.
+   * @param {string} consumerTag
+   * @returns {Promise<Object>}
+   */
+  cancel(consumerTag) {
+    return this.operation(() => {
+      const consumer = this.consumers.get(consumerTag);
+      if (consumer) {
+        this.broker.removeConsumer(consumer);
+        this.consumers.delete(consumerTag);
+      }
+      return { consumerTag };
+    });
+  }
+
+  /**
+   * Gets a single message from the designated queue, as in amqplib.
+   * @param {string} queue
+   * @param {Object} [options]
+   * @returns {Promise<Object|boolean>} resolving to the message, or false if queue is empty
+   */
+  get(queue, options = {}) {
+    return this.operation(() => {
+      const q = this.broker.getQueue(queue);
+      const message = this.broker.dequeue(q);
+      if (!message) {
+        return false;
+      }
+      return this.deliver(q, message, { noAck: !!options.noAck, messageCount: q.messages.length });
+    });
+  }
+
+  /**
+   * Hands the supplied message to the channel and returns it in amqplib's format.
+   * @param {Object} queue
+   * @param {Object} message
+   * @param {Object} options
+   * @returns {Object}
+   */
+  deliver(queue, message, { noAck, consumerTag, messageCount }) {
+    this.deliveryTag += 1;
+    const { deliveryTag } = this;
+
+    if (!noAck) {
+      this.unacked.set(deliveryTag, { queue: queue.name, message, consumerTag });
+    }
+
+    return {
+      content: message.content,
+      fields: omitBy({
+        consumerTag,
+        deliveryTag,
+        redelivered: message.redelivered,
+        exchange: message.exchange,
+        routingKey: message.routingKey,
+        messageCount
+      }, isUndefined),
+      properties: Object.assign({}, message.properties, { headers: Object.assign({}, message.properties.headers) })
+    };
+  }
+
+  /**
+   * Settles the designated delivery(ies).
+   * @param {Object} msg
+   * @param {boolean} allUpTo
+   * @param {Function} fn settle function
+   */
+  settle(msg, allUpTo, fn) {
+    if (this.closed) {
+      throw new Error('Channel closed');
+    }
+
+    const { deliveryTag } = msg.fields;
+    if (!this.unacked.has(deliveryTag)) {
+      this.destroy(createChannelError(406, `PRECONDITION_FAILED - unknown delivery tag ${deliveryTag}`));
+      return;
+    }
+
+    const tags = allUpTo ?
+      Array.from(this.unacked.keys()).filter((tag) => tag <= deliveryTag) :
+      [deliveryTag];
+
+    tags.forEach((tag) => {
+      const delivery = this.unacked.get(tag);
+      this.unacked.delete(tag);
+      fn(delivery);
+    });
+
+    this.broker.schedule();
+  }
+
+  /**
+   * Acknowledges the supplied message.
+   * @param {Object} msg
+   * @param {boolean} [allUpTo=false]
+   */
+  ack(msg, allUpTo = false) {
+    this.settle(msg, allUpTo, () => {});
+  }
+
+  /**
+   * Acknowledges all outstanding messages.
+   */
+  ackAll() {
+    Array.from(this.unacked.keys()).forEach((tag) => this.unacked.delete(tag));
+    this.broker.schedule();
+  }
+
+  /**
+   * Rejects the supplied message, either requeueing or dead-lettering it.
+   * @param {Object} msg
+   * @param {boolean} [allUpTo=false]
+   * @param {boolean} [requeue=true]
+   */
+  nack(msg, allUpTo = false, requeue = true) {
+    this.settle(msg, allUpTo, ({ queue, message }) => {
+      if (requeue) {
+        this.broker.requeue(queue, message);
+      } else {
+        this.broker.deadLetter(queue, message, 'rejected');
+      }
+    });
+  }
+
+  /**
+   * Rejects all outstanding messages, either requeueing or dead-lettering them.
+   * @param {boolean} [requeue=true]
+   */
+  nackAll(requeue = true) {
+    const unacked = Array.from(this.unacked.values());
+    this.unacked.clear();
+    unacked.forEach(({ queue, message }) => {
+      if (requeue) {
+        this.broker.requeue(queue, message);
+      } else {
+        this.broker.deadLetter(queue, message, 'rejected');
+      }
+    });
+    this.broker.schedule();
+  }
+
+  /**
+   * Rejects the supplied message, either requeueing or dead-lettering it.
+   * @param {Object} msg
+   * @param {boolean} [requeue=true]
+   */
+  reject(msg, requeue = true) {
+    this.nack(msg, false, requeue);
+  }
+
+  /**
+   * Requeues all outstanding messages.
+   * @returns {Promise<Object>}
+   */
+  recover() {
+    return this.operation(() => {
+      this.nackAll(true);
+      return {};
+    });
+  }
+
+  /**
+   * Counts the unacknowledged messages delivered to the designated consumer.
+   * @param {string} consumerTag
+   * @returns {number}
+   */
+  countUnacked(consumerTag) {
+    return Array.from(this.unacked.values()).filter((delivery) => delivery.consumerTag === consumerTag).length;
+  }
+}
+
+class MemoryConnection extends EventEmitter {
+  /**
+   * Constructs new in-memory connection.
+   * @param {MemoryBroker} broker
+   * @constructor
+   */
+  constructor(broker) {
+    super();
+    this.broker = broker;
+    this.closed = false;
+    this.channels = new Set();
+  }
+
+  /**
+   * Opens new channel.
+   * @returns {Promise<MemoryChannel>}
+   */
+  createChannel() {
+    return this.openChannel(false);
+  }
+
+  /**
+   * Opens new confirm channel.
+   * @returns {Promise<MemoryChannel>}
+   */
+  createConfirmChannel() {
+    return this.openChannel(true);
+  }
+
+  /**
+   * Opens new channel, unless connection is closed.
+   * @param {boolean} confirm whether to act as a confirm channel
+   * @returns {Promise<MemoryChannel>}
+   */
+  openChannel(confirm) {
+    if (this.closed) {
+      return Promise.reject(new Error('Connection closed'));
+    }
+
+    const channel = new MemoryChannel(this, confirm);
+    this.channels.add(channel);
+    return Promise.resolve(channel);
+  }
+
+  /**
+   * Closes the connection and any of its channels.
+   * @param {Error} [err] the reason the connection is closed, if closed by the server
+   */
+  destroy(err) {
+    if (this.closed) {
+      return;
+    }
+
+    this.closed = true;
+    Array.from(this.channels).forEach((channel) => channel.destroy());
+    this.broker.connections.delete(this);
+    this.broker.removeExclusiveQueues(this);
+
+    if (err) {
+      this.emit('error', err);
+    }
+    this.emit('close', err);
+  }
+
+  /**
+   * Closes the connection.
+   * @returns {Promise}
+   */
+  close() {
+    if (this.closed) {
+      return Promise.reject(new Error('Connection closed'));
+    }
+    this.destroy();
+    return Promise.resolve();
+  }
+}
+
+class MemoryBroker {
+  /**
+   * Returns the in-memory broker for the supplied URL, creating it if necessary.
+   * Buses connecting to the same URL share the same broker.
+   * @param {string} url e.g. "memory://" or "memory://my-broker"
+   * @returns {MemoryBroker}
+   */
+  static get(url) {
+    if (!brokers.has(url)) {
+      brokers.set(url, new MemoryBroker());
+    }
+    return brokers.get(url);
+  }
+
+  /**
+   * Connects to the in-memory broker for the supplied URL.
+   * @param {string} url
+   * @returns {Promise<MemoryConnection>}
+   */
+  static connect(url) {
+    return MemoryBroker.get(url).connect();
+  }
+
+  /**
+   * Constructs new in-memory broker.
+   * @constructor
+   */
+  constructor() {
+    this.connections = new Set();
+    this.scheduled = false;
+    this.reset();
+  }
+
+  /**
+   * Discards all exchanges, queues and recorded messages.
+   */
+  reset() {
+    if (this.queues) {
+      this.queues.forEach((queue) => queue.messages.forEach((message) => clearTimeout(message.timer)));
+    }
+
+    this.exchanges = new Map();
+    this.queues = new Map();
+    this.bindings = [];
+    this.published = [];
+
+    // predeclared exchanges
+    this.exchanges.set('', { name: '', type: 'direct', options: {} });
+    ['direct', 'fanout', 'topic', 'headers'].forEach((type) => {
+      this.exchanges.set(`amq.${type}`, { name: `amq.${type}`, type, options: {} });
+    });
+  }
+
+  /**
+   * Opens new connection to the broker.
+   * @returns {Promise<MemoryConnection>}
+   */
+  connect() {
+    const conn = new MemoryConnection(this);
+    this.connections.add(conn);
+    return Promise.resolve(conn);
+  }
+
+  /**
+   * Simulates a broker restart: closes all connections and discards all state.
+   */
+  restart() {
+    const err = new Error('Connection closed: 320 (CONNECTION-FORCED) with message ' +
+      '"CONNECTION_FORCED - broker forced connection closure"');
+    err.code = 320;
+    Array.from(this.connections).forEach((conn) => conn.destroy(err));
+    this.reset();
+  }
+
+  /**
+   * Returns the designated exchange; throws channel error if it does not exist.
+   * @param {string} name
+   * @returns {Object}
+   */
+  getExchange(name) {
+    const exchange = this.exchanges.get(name);
+    if (!exchange) {
+      throw createChannelError(404, `NOT_FOUND - no exchange '${name}'`);
+    }
+    return exchange;
+  }
+
+  /**
+   * Declares the designated exchange, unless it already exists.
+   * @param {string} name
+   * @param {string} type
+   * @param {Object} options
+   */
+  assertExchange(name, type, options) {
+    const exchange = this.exchanges.get(name);
+    if (exchange) {
+      if (exchange.type !== type) {
+        throw createChannelError(406, `PRECONDITION_FAILED - inequivalent arg 'type' for exchange '${name}'`);
+      }
+      return;
+    }
+    this.exchanges.set(name, { name, type, options });
+  }
+
+  /**
+   * Deletes the designated exchange along with its bindings.
+   * @param {string} name
+   */
+  deleteExchange(name) {
+    this.exchanges.delete(name);
+    this.bindings = this.bindings.filter((binding) => {
+      return binding.source !== name && binding.destination.exchange !== name;
+    });
+  }
+
+  /**
+   * Returns the designated queue; throws channel error if it does not exist.
+   * @param {string} name
+   * @returns {Object}
+   */
+  getQueue(name) {
+    const queue = this.queues.get(name);
+    if (!queue) {
+      throw createChannelError(404, `NOT_FOUND - no queue '${name}'`);
+    }
+    return queue;
+  }
+
+  /**
+   * Declares the designated queue, unless it already exists.
+   * @param {string} name queue name; an empty name generates a unique queue name
+   * @param {Object} options as in amqplib
+   * @param {MemoryConnection} owner connection declaring the queue; exclusive queues are owned by it
+   * @returns {Object} i.e. { queue, messageCount, consumerCount }
+   */
+  assertQueue(name, options, owner) {
+    const queueName = name === '' ? `amq.gen-${uuid.v4()}` : name;
+    let queue = this.queues.get(queueName);
+
+    if (queue) {
+      if (queue.owner && queue.owner !== owner) {
+        throw createChannelError(405, `RESOURCE_LOCKED - cannot obtain exclusive access to locked queue '${queueName}'`);
+      }
+    } else {
+      const args = Object.assign({}, options.arguments);
+      [
+        ['expires', 'x-expires'],
+        ['messageTtl', 'x-message-ttl'],
+        ['deadLetterExchange', 'x-dead-letter-exchange'],
+        ['deadLetterRoutingKey', 'x-dead-letter-routing-key'],
+        ['maxLength', 'x-max-length'],
+        ['maxPriority', 'x-max-priority']
+      ].forEach(([option, arg]) => {
+        if (!isUndefined(options[option])) {
+          args[arg] = options[option];
+        }
+      });
+
+      queue = {
+        name: queueName,
+        args,
+        owner: options.exclusive ? owner : null,
+        messages: [],
+        consumers: [],
+        next: 0
+      };
+      this.queues.set(queueName, queue);
+    }
+
+    return {
+      queue: queueName,
+      messageCount: queue.messages.length,
+      consumerCount: queue.consumers.length
+    };
+  }
+
+  /**
+   * Deletes the designated queue along with its bindings, cancelling its consumers.
+   * @param {string} name
+   * @returns {number} number of messages deleted
+   */
+  deleteQueue(name) {
+    const queue = this.queues.get(name);
+    if (!queue) {
+      return 0;
+    }
+
+    this.queues.delete(name);
+    this.bindings = this.bindings.filter((binding) => binding.destination.queue !== name);
+    queue.messages.forEach((message) => clearTimeout(message.timer));
+    queue.consumers.slice().forEach((consumer) => {
+      this.removeConsumer(consumer);
+      consumer.channel.consumers.delete(consumer.consumerTag);
+      consumer.callback(null); // notify consumer of cancellation
+    });
+
+    return queue.messages.length;
+  }
+
+  /**
+   * Deletes the exclusive queues owned by the supplied connection.
+   * @param {MemoryConnection} owner
+   */
+  removeExclusiveQueues(owner) {
+    Array.from(this.queues.values())
+      .filter((queue) => queue.owner === owner)
+      .forEach((queue) => this.deleteQueue(queue.name));
+  }
+
+  /**
+   * Binds the designated queue or exchange to the given source exchange.
+   * @param {Object} destination i.e. { queue } or { exchange }
+   * @param {string} source
+   * @param {string} pattern
+   * @param {Object} args
+   */
+  bind(destination, source, pattern, args) {
+    this.getExchange(source);
+    const exists = this.bindings.some((binding) => {
+      return binding.source === source &&
+        binding.pattern === pattern &&
+        binding.destination.queue === destination.queue &&
+        binding.destination.exchange === destination.exchange;
+    });
+    if (!exists) {
+      this.bindings.push({
+        destination, source, pattern, args
+      });
+    }
+  }
+
+  /**
+   * Unbinds the designated queue or exchange from the given source exchange.
+   * @param {Object} destination i.e. { queue } or { exchange }
+   * @param {string} source
+   * @param {string} pattern
+   */
+  unbind(destination, source, pattern) {
+    this.bindings = this.bindings.filter((binding) => {
+      return !(binding.source === source &&
+        binding.pattern === pattern &&
+        binding.destination.queue === destination.queue &&
+        binding.destination.exchange === destination.exchange);
+    });
+  }
+
+  /**
+   * Returns the names of the queues the supplied message routes to.
+   * @param {string} exchangeName
+   * @param {string} routingKey
+   * @param {Object} properties
+   * @param {Set} [visited] exchanges visited so far, to avoid cycles
+   * @returns {Array<string>}
+   */
+  route(exchangeName, routingKey, properties, visited = new Set()) {
+    if (exchangeName === '') {
+      return this.queues.has(routingKey) ? [routingKey] : [];
+    }
+
+    const exchange = this.getExchange(exchangeName);
+    visited.add(exchangeName);
+
+    const type = exchange.type === 'x-delayed-message' ?
+      (exchange.options.arguments || {})['x-delayed-type'] :
+      exchange.type;
+
+    const queues = new Set();
+    this.bindings
+      .filter((binding) => binding.source === exchangeName)
+      .filter((binding) => {
+        switch (type) {
+          case 'fanout':
+            return true;
+          case 'topic':
+            return matchTopic(binding.pattern, routingKey);
+          case 'headers':
+            return matchHeaders(binding.args, properties.headers);
+          default:
+            return binding.pattern === routingKey;
+        }
+      })
+      .forEach(({ destination }) => {
+        if (destination.queue) {
+          queues.add(destination.queue);
+        } else if (!visited.has(destination.exchange)) {
+          this.route(destination.exchange, routingKey, properties, visited).forEach((queue) => queues.add(queue));
+        }
+      });
+
+    return Array.from(queues);
+  }
+
+  /**
+   * Publishes the supplied message; returns whether it was routed to at least one queue.
+   * @param {string} exchange
+   * @param {string} routingKey
+   * @param {Buffer} content
+   * @param {Object} properties
+   * @returns {boolean}
+   */
+  publish(exchange, routingKey, content, properties) {
+    this.published.push({
+      exchange, routingKey, content, properties
+    });
+
+    const { type, options } = this.getExchange(exchange);
+    const delay = Number(properties.headers['x-delay']);
+    if (type === 'x-delayed-message' && delay > 0) {
+      // emulate the delayed message exchange plugin
+      const routed = this.route(exchange, routingKey, properties).length !== 0;
+      setTimeout(() => {
+        if (this.exchanges.get(exchange) && this.exchanges.get(exchange).options === options) {
+          this.route(exchange, routingKey, properties).forEach((queue) => {
+            this.enqueue(queue, {
+              exchange, routingKey, content, properties
+            });
+          });
+        }
+      }, delay);
+      return routed;
+    }
+
+    const queues = this.route(exchange, routingKey, properties);
+    queues.forEach((queue) => this.enqueue(queue, {
+      exchange, routingKey, content, properties
+    }));
+    return queues.length !== 0;
+  }
+
+  enqueue(queueName, {
+    exchange, routingKey, content, properties
+  }) {
+    const queue = this.queues.get(queueName);
+    const message = {
+      exchange,
+      routingKey,
+      content,
+      properties: Object.assign({}, properties, { headers: Object.assign({}, properties.headers) }),
+      redelivered: false,
+      timer: null
+    };
+
+    // apply queue or message TTL, whichever is lower
+    const ttls = [queue.args['x-message-ttl'], properties.expiration]
+      .filter((ttl) => !isUndefined(ttl))
+      .map(Number);
+    if (ttls.length !== 0) {
+      message.timer = setTimeout(() => {
+        const index = queue.messages.indexOf(message);
+        if (index !== -1) {
+          queue.messages.splice(index, 1);
+          this.deadLetter(queue.name, message, 'expired');
+        }
+      }, Math.min(...ttls));
+    }
+
+    queue.messages.push(message);
+
+    const maxLength = queue.args['x-max-length'];
+    if (!isUndefined(maxLength) && queue.messages.length > maxLength) {
+      const dropped = queue.messages.shift();
+      clearTimeout(dropped.timer);
+      this.deadLetter(queue.name, dropped, 'maxlen');
+    }
+
+    this.schedule();
+  }
+
+  /**
+   * Removes and returns the next message of the supplied queue, respecting priorities.
+   * @param {Object} queue
+   * @returns {Object|null}
+   */
+  dequeue(queue) {
+    if (queue.messages.length === 0) {
+      return null;
+    }
+
+    let index = 0;
+    if (!isUndefined(queue.args['x-max-priority'])) {
+      // pick message with the highest priority; FIFO among equals
+      queue.messages.forEach((message, i) => {
+        if ((message.properties.priority || 0) > (queue.messages[index].properties.priority || 0)) {
+          index = i;
+        }
+      });
+    }
+
+    const [message] = queue.messages.splice(index, 1);
+    clearTimeout(message.timer);
+    return message;
+  }
+
+  /**
+   * Puts the supplied message back to the head of the designated queue, flagged as redelivered.
+   * @param {string} queueName
+   * @param {Object} message
+   */
+  requeue(queueName, message) {
+    const queue = this.queues.get(queueName);
+    if (!queue) {
+      return;
+    }
+    message.redelivered = true;
+    queue.messages.unshift(message);
+    this.schedule();
+  }
+
+  /**
+   * Dead-letters the supplied message, if its queue specifies a dead-letter exchange.
+   * @param {string} queueName
+   * @param {Object} message
+   * @param {string} reason i.e. "rejected", "expired" or "maxlen"
+   */
+  deadLetter(queueName, message, reason) {
+    const queue = this.queues.get(queueName);
+    if (!queue || isUndefined(queue.args['x-dead-letter-exchange'])) {
+      return;
+    }
+
+    const exchange = queue.args['x-dead-letter-exchange'];
+    if (exchange !== '' && !this.exchanges.has(exchange)) {
+      return;
+    }
+
+    const routingKey = isUndefined(queue.args['x-dead-letter-routing-key']) ?
+      message.routingKey :
+      queue.args['x-dead-letter-routing-key'];
+    const headers = Object.assign({}, message.properties.headers);
+    const deaths = (headers['x-death'] || []).slice();
+    const death = deaths.find((entry) => entry.queue === queueName && entry.reason === reason);
+    if (death) {
+      death.count += 1;
+    } else {
+      deaths.unshift({
+        count: 1,
+        reason,
+        queue: queueName,
+        time: Math.floor(Date.now() / 1000),
+        exchange: message.exchange,
+        'routing-keys': [message.routingKey]
+      });
+    }
+    headers['x-death'] = deaths;
+    if (isUndefined(headers['x-first-death-queue'])) {
+      headers['x-first-death-queue'] = queueName;
+      headers['x-first-death-reason'] = reason;
+      headers['x-first-death-exchange'] = message.exchange;
+    }
+
+    const properties = Object.assign({}, message.properties, { headers, expiration: undefined });
+    this.route(exchange, routingKey, properties).forEach((target) => {
+      this.enqueue(target, {
+        exchange, routingKey, content: message.content, properties
+      });
+    });
+  }
+
+  /**
+   * Registers the supplied consumer with its queue.
+   * @param {Object} consumer
+   */
+  addConsumer(consumer) {
+    const queue = this.getQueue(consumer.queue);
+    if (queue.owner && queue.owner !== consumer.channel.connection) {
+      throw createChannelError(405, `RESOURCE_LOCKED - cannot obtain exclusive access to locked queue '${queue.name}'`);
+    }
+    queue.consumers.push(consumer);
+    this.schedule();
+  }
+
+  /**
+   * Unregisters the supplied consumer from its queue.
+   * @param {Object} consumer
+   */
+  removeConsumer(consumer) {
+    const queue = this.queues.get(consumer.queue);
+    if (queue) {
+      queue.consumers = queue.consumers.filter((c) => c !== consumer);
+    }
+  }
+
+  /**
+   * Schedules delivery of ready messages to consumers.
+   */
+  schedule() {
+    if (this.scheduled) {
+      return;
+    }
+    this.scheduled = true;
+    setImmediate(() => {
+      this.scheduled = false;
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hands ready messages to consumers with spare prefetch capacity.
+   */
+  dispatch() {
+    this.queues.forEach((queue) => {
+      while (queue.messages.length !== 0) {
+        const consumer = this.nextConsumer(queue);
+        if (!consumer) {
+          break;
+        }
+
+        const message = this.dequeue(queue);
+        const msg = consumer.channel.deliver(queue, message, {
+          noAck: consumer.noAck,
+          consumerTag: consumer.consumerTag
+        });
+        consumer.callback(msg);
+      }
+    });
+  }
+
+  /**
+   * Returns the next consumer with spare prefetch capacity, in round-robin fashion.
+   * Queues with single active consumer only deliver to their oldest consumer, the others standing by.
+   * @param {Object} queue
+   * @returns {Object|null}
+   */
+  nextConsumer(queue) {
+    const consumers = queue.args['x-single-active-consumer'] ? queue.consumers.slice(0, 1) : queue.consumers;
+    for (let i = 0; i < consumers.length; i += 1) {
+      const consumer = consumers[(queue.next + i) % consumers.length];
+      const { channel } = consumer;
+      if (consumer.noAck || channel.prefetchCount === 0 ||
+        channel.countUnacked(consumer.consumerTag) < channel.prefetchCount) {
+        queue.next = (queue.next + i + 1) % consumers.length;
+        return consumer;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Returns the ready messages of the designated queue, without removing them.
+   * @param {string} queue
+   * @returns {Array<Object>} messages in amqplib's format, i.e. { content, fields, properties }
+   */
+  messages(queue) {
+    return this.getQueue(queue).messages.map((message) => ({
+      content: message.content,
+      fields: { exchange: message.exchange, routingKey: message.routingKey, redelivered: message.redelivered },
+      properties: message.properties
+    }));
+  }
+
+  /**
+   * Removes and returns the ready messages of the designated queue, synchronously.
+   * @param {string} queue
+   * @returns {Array<Object>} messages in amqplib's format, i.e. { content, fields, properties }
+   */
+  drain(queue) {
+    const messages = this.messages(queue);
+    const q = this.getQueue(queue);
+    q.messages.forEach((message) => clearTimeout(message.timer));
+    q.messages = [];
+    return messages;
+  }
+
+  /**
+   * Resolves once all pending messages have been handed to consumers.
+   * @returns {Promise}
+   */
+  flush() {
+    return new Promise((resolve) => setImmediate(resolve))
+      .then(() => (this.scheduled ? this.flush() : null));
+  }
+}
+
+export default MemoryBroker;
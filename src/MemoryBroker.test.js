@@ -0,0 +1,257 @@
+/* eslint-env jest */
+
+import Promise from 'bluebird';
+import MemoryBroker from './MemoryBroker';
+
+describe('MemoryBroker', () => {
+  let broker;
+  let conn;
+  let channel;
+
+  beforeEach(async () => {
+    broker = new MemoryBroker();
+    conn = await broker.connect();
+    channel = await conn.createConfirmChannel();
+  });
+  afterEach(async () => {
+    if (!conn.closed) {
+      await conn.close();
+    }
+  });
+
+  /**
+   * Publishes the supplied message and waits for the broker to confirm it.
+   */
+  const publish = (exchange, routingKey, content, options = {}) => {
+    return new Promise((resolve, reject) => {
+      channel.publish(exchange, routingKey, Buffer.from(content), options, (err) => (err ? reject(err) : resolve()));
+    });
+  };
+
+  const contents = (queue) => broker.messages(queue).map((msg) => msg.content.toString());
+
+  describe('get()', () => {
+    it('returns the broker for the supplied url, creating it if necessary', () => {
+      expect(MemoryBroker.get('memory://a')).toBe(MemoryBroker.get('memory://a'));
+      expect(MemoryBroker.get('memory://a')).not.toBe(MemoryBroker.get('memory://b'));
+    });
+  });
+
+  describe('routing', () => {
+    beforeEach(async () => {
+      await channel.assertQueue('a');
+      await channel.assertQueue('b');
+    });
+
+    it('routes via the default exchange by queue name', async () => {
+      await publish('', 'a', 'foo');
+      expect(contents('a')).toEqual(['foo']);
+      expect(contents('b')).toEqual([]);
+    });
+
+    it('routes via direct exchanges by routing key', async () => {
+      await channel.assertExchange('direct', 'direct');
+      await channel.bindQueue('a', 'direct', 'x');
+      await channel.bindQueue('b', 'direct', 'y');
+
+      await publish('direct', 'x', 'foo');
+      expect(contents('a')).toEqual(['foo']);
+      expect(contents('b')).toEqual([]);
+    });
+
+    it('routes via topic exchanges by pattern', async () => {
+      await channel.assertExchange('topic', 'topic');
+      await channel.bindQueue('a', 'topic', 'user.*');
+      await channel.bindQueue('b', 'topic', '#.deleted');
+
+      await publish('topic', 'user.created', 'foo');
+      await publish('topic', 'user.deleted', 'bar');
+      await publish('topic', 'order.item.deleted', 'baz');
+      expect(contents('a')).toEqual(['foo', 'bar']);
+      expect(contents('b')).toEqual(['bar', 'baz']);
+    });
+
+    it('routes via fanout exchanges to all bound queues', async () => {
+      await channel.assertExchange('fanout', 'fanout');
+      await channel.bindQueue('a', 'fanout', '');
+      await channel.bindQueue('b', 'fanout', '');
+
+      await publish('fanout', 'whatever', 'foo');
+      expect(contents('a')).toEqual(['foo']);
+      expect(contents('b')).toEqual(['foo']);
+    });
+
+    it('routes via headers exchanges by header values', async () => {
+      await channel.assertExchange('headers', 'headers');
+      await channel.bindQueue('a', 'headers', '', { 'x-match': 'all', format: 'pdf', type: 'report' });
+      await channel.bindQueue('b', 'headers', '', { 'x-match': 'any', format: 'pdf', type: 'report' });
+
+      await publish('headers', '', 'foo', { headers: { format: 'pdf', type: 'report' } });
+      await publish('headers', '', 'bar', { headers: { format: 'pdf' } });
+      expect(contents('a')).toEqual(['foo']);
+      expect(contents('b')).toEqual(['foo', 'bar']);
+    });
+
+    it('returns unroutable mandatory messages', async () => {
+      const listener = jest.fn();
+      channel.on('return', listener);
+
+      await publish('', 'unknown', 'foo', { mandatory: true });
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0].fields).toEqual({
+        replyCode: 312,
+        replyText: 'NO_ROUTE',
+        exchange: '',
+        routingKey: 'unknown'
+      });
+    });
+
+    it('closes the channel when exchange does not exist', async () => {
+      const listener = jest.fn();
+      channel.on('error', listener);
+
+      try {
+        await channel.checkExchange('unknown');
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        expect(err.message).toBe('Channel closed by server: 404 with message "NOT_FOUND - no exchange \'unknown\'"');
+        expect(err.code).toBe(404);
+      }
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(channel.closed).toBe(true);
+    });
+  });
+
+  describe('consume()', () => {
+    beforeEach(async () => {
+      await channel.assertQueue('a');
+    });
+
+    it('redelivers requeued messages', async () => {
+      const deliveries = [];
+      await channel.consume('a', (msg) => {
+        deliveries.push(msg);
+        if (!msg.fields.redelivered) {
+          channel.nack(msg);
+        } else {
+          channel.ack(msg);
+        }
+      });
+
+      await publish('', 'a', 'foo');
+      await broker.flush();
+      expect(deliveries.map((msg) => msg.fields.redelivered)).toEqual([false, true]);
+      expect(contents('a')).toEqual([]);
+    });
+
+    it('requeues unacknowledged messages when channel closes', async () => {
+      await channel.consume('a', () => null);
+      await publish('', 'a', 'foo');
+      await broker.flush();
+      expect(contents('a')).toEqual([]);
+
+      await channel.close();
+      expect(contents('a')).toEqual(['foo']);
+      expect(broker.messages('a')[0].fields.redelivered).toBe(true);
+    });
+
+    it('limits unacknowledged messages to prefetch', async () => {
+      const deliveries = [];
+      await channel.prefetch(2);
+      await channel.consume('a', (msg) => deliveries.push(msg));
+
+      await Promise.each(['1', '2', '3'], (content) => publish('', 'a', content));
+      await broker.flush();
+      expect(deliveries.length).toBe(2);
+
+      channel.ack(deliveries[0]);
+      await broker.flush();
+      expect(deliveries.length).toBe(3);
+    });
+
+    it('delivers messages by priority', async () => {
+      await channel.assertQueue('prioritized', { maxPriority: 10 });
+      await publish('', 'prioritized', 'low', { priority: 1 });
+      await publish('', 'prioritized', 'high', { priority: 9 });
+      await publish('', 'prioritized', 'medium', { priority: 5 });
+
+      const deliveries = [];
+      await channel.consume('prioritized', (msg) => {
+        deliveries.push(msg.content.toString());
+        channel.ack(msg);
+      });
+      await broker.flush();
+      expect(deliveries).toEqual(['high', 'medium', 'low']);
+    });
+
+    it('delivers to single active consumer only', async () => {
+      const deliveries = [];
+      await channel.assertQueue('single', { arguments: { 'x-single-active-consumer': true } });
+      const { consumerTag } = await channel.consume('single', (msg) => {
+        deliveries.push(['first', msg.content.toString()]);
+        channel.ack(msg);
+      });
+      await channel.consume('single', (msg) => {
+        deliveries.push(['second', msg.content.toString()]);
+        channel.ack(msg);
+      });
+
+      await Promise.each(['1', '2'], (content) => publish('', 'single', content));
+      await broker.flush();
+      await channel.cancel(consumerTag);
+      await publish('', 'single', '3');
+      await broker.flush();
+      expect(deliveries).toEqual([['first', '1'], ['first', '2'], ['second', '3']]);
+    });
+
+    it('dead-letters rejected and expired messages', async () => {
+      await channel.assertQueue('dead');
+      await channel.assertQueue('source', { deadLetterExchange: '', deadLetterRoutingKey: 'dead' });
+      await publish('', 'source', 'expired', { expiration: 10 });
+      await Promise.delay(50);
+
+      await publish('', 'source', 'rejected');
+      const msg = await channel.get('source');
+      channel.nack(msg, false, false);
+
+      const deadLetters = broker.messages('dead');
+      expect(deadLetters.map(({ content }) => content.toString())).toEqual(['expired', 'rejected']);
+      expect(deadLetters.map(({ properties }) => properties.headers['x-death'][0].reason))
+        .toEqual(['expired', 'rejected']);
+    });
+  });
+
+  describe('test helpers', () => {
+    it('records published messages', async () => {
+      await channel.assertQueue('a');
+      await publish('', 'a', 'foo', { type: 'test' });
+
+      expect(broker.published.length).toBe(1);
+      expect(broker.published[0].routingKey).toBe('a');
+      expect(broker.published[0].properties.type).toBe('test');
+    });
+
+    it('drains queues synchronously', async () => {
+      await channel.assertQueue('a');
+      await publish('', 'a', 'foo');
+      await publish('', 'a', 'bar');
+
+      expect(broker.drain('a').map(({ content }) => content.toString())).toEqual(['foo', 'bar']);
+      expect(broker.messages('a')).toEqual([]);
+    });
+
+    it('closes all connections and discards state on restart', async () => {
+      const listener = jest.fn();
+      conn.on('error', () => null);
+      conn.on('close', listener);
+      await channel.assertQueue('a');
+
+      broker.restart();
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0].code).toBe(320);
+      expect(() => broker.getQueue('a'))
+        .toThrowError('Channel closed by server: 404 with message "NOT_FOUND - no queue \'a\'"');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import Promise from 'bluebird';
+import isPlainObject from 'lodash/isPlainObject';
+import isInteger from 'lodash/isInteger';
+import typeOf from 'typeof';
+
+class MemoryDedupeStore {
+  /**
+   * Constructs new in-memory store of processed message keys, evicting the least recently used keys once full.
+   * Keys are scoped to the current process; use a shared store, e.g. Redis, to deduplicate across processes.
+   * @param {Object} [props] store properties
+   * @property {number} [props.maxSize=10000] max number of keys to hold
+   * @property {number} [props.ttl=3600000] max time to hold a key, in milliseconds
+   * @constructor
+   */
+  constructor(props = {}) {
+    if (!isPlainObject(props)) {
+      throw new TypeError(`Invalid props; expected plain object, received ${typeOf(props)}`);
+    }
+
+    const { maxSize = 10000, ttl = 3600000 } = props;
+
+    if (!isInteger(maxSize) || maxSize < 1) {
+      throw new TypeError('Invalid maxSize property; expected positive integer');
+    }
+    if (!isInteger(ttl) || ttl < 1) {
+      throw new TypeError('Invalid ttl property; expected positive integer');
+    }
+
+    this.maxSize = maxSize;
+    this.ttl = ttl;
+    this.keys = new Map(); // i.e. key -> expiration time, in order of use
+  }
+
+  /**
+   * Indicates whether the designated key is recorded, i.e. the message has already been processed.
+   * @param {string} key
+   * @returns {Promise<boolean>}
+   */
+  has(key) {
+    const expiresAt = this.keys.get(key);
+
+    if (expiresAt === undefined) {
+      return Promise.resolve(false);
+    }
+
+    this.keys.delete(key);
+
+    if (expiresAt <= Date.now()) {
+      return Promise.resolve(false);
+    }
+
+    // mark key as recently used
+    this.keys.set(key, expiresAt);
+    return Promise.resolve(true);
+  }
+
+  /**
+   * Records the designated key, i.e. marks the message as processed.
+   * @param {string} key
+   * @returns {Promise}
+   */
+  add(key) {
+    this.keys.delete(key);
+    this.keys.set(key, Date.now() + this.ttl);
+
+    // evict least recently used keys
+    const iterator = this.keys.keys();
+    while (this.keys.size > this.maxSize) {
+      this.keys.delete(iterator.next().value);
+    }
+
+    return Promise.resolve();
+  }
+}
+
+export default MemoryDedupeStore;
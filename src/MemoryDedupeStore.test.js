@@ -0,0 +1,47 @@
+/* eslint-env jest */
+
+import Promise from 'bluebird';
+import MemoryDedupeStore from './MemoryDedupeStore';
+
+describe('MemoryDedupeStore', () => {
+  describe('constructor()', () => {
+    it('throws error when props are invalid', () => {
+      expect(() => new MemoryDedupeStore({ maxSize: 0 }))
+        .toThrowError('Invalid maxSize property; expected positive integer');
+      expect(() => new MemoryDedupeStore({ ttl: 'abc' }))
+        .toThrowError('Invalid ttl property; expected positive integer');
+    });
+  });
+
+  describe('has() / add()', () => {
+    it('records keys', async () => {
+      const store = new MemoryDedupeStore();
+      expect(await store.has('a')).toBe(false);
+
+      await store.add('a');
+      expect(await store.has('a')).toBe(true);
+      expect(await store.has('b')).toBe(false);
+    });
+
+    it('forgets keys after ttl', async () => {
+      const store = new MemoryDedupeStore({ ttl: 20 });
+      await store.add('a');
+
+      await Promise.delay(50);
+      expect(await store.has('a')).toBe(false);
+      expect(store.keys.size).toBe(0);
+    });
+
+    it('evicts least recently used keys once full', async () => {
+      const store = new MemoryDedupeStore({ maxSize: 2 });
+      await store.add('a');
+      await store.add('b');
+      await store.has('a'); // mark "a" as recently used
+      await store.add('c');
+
+      expect(await store.has('a')).toBe(true);
+      expect(await store.has('b')).toBe(false);
+      expect(await store.has('c')).toBe(true);
+    });
+  });
+});
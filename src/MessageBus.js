@@ -1,33 +1,357 @@
-import crypto from 'crypto';
+import EventEmitter from 'events';
 import Promise from 'bluebird';
 import isPlainObject from 'lodash/isPlainObject';
+import isObject from 'lodash/isObject';
+import has from 'lodash/has';
 import isString from 'lodash/isString';
 import isFunction from 'lodash/isFunction';
+import isBoolean from 'lodash/isBoolean';
 import isNull from 'lodash/isNull';
 import isUndefined from 'lodash/isUndefined';
 import isInteger from 'lodash/isInteger';
+import isNumber from 'lodash/isNumber';
+import isDate from 'lodash/isDate';
 import inRange from 'lodash/inRange';
+import omit from 'lodash/omit';
 import omitBy from 'lodash/omitBy';
+import pick from 'lodash/pick';
+import uniq from 'lodash/uniq';
 import typeOf from 'typeof';
 import amqp from 'amqplib';
+import Ajv from 'ajv';
 import uuid from 'uuid';
+import * as encryption from './encryption';
+import * as codecs from './codecs';
+import * as compression from './compression';
+import * as signing from './signing';
+import Router from './Router';
+import MemoryBroker from './MemoryBroker';
+import OfflineBuffer from './OfflineBuffer';
+import Outbox from './Outbox';
+import MemoryDedupeStore from './MemoryDedupeStore';
+import getPartition from './partition';
 
-class MessageBus {
+const DIRECT_REPLY_QUEUE = 'amq.rabbitmq.reply-to';
+const MEMORY_URL_PREFIX = 'memory://';
+const SERVER_NAMED_QUEUE_PREFIX = 'amq.gen-';
+const DRAIN_TIMEOUT = 10000; // max time to wait for messages in progress when unsubscribing
+const DELAY_QUEUE_GRACE_PERIOD = 60000; // time idle delay queues are kept, once their messages are delivered
+const STRING_PROPERTIES = [
+  'messageId',
+  'type',
+  'correlationId',
+  'replyTo',
+  'contentType',
+  'contentEncoding',
+  'appId',
+  'userId'
+];
+const BOOLEAN_PROPERTIES = ['persistent', 'mandatory'];
+const REDRIVE_DROPPED_HEADERS = [
+  'x-attempt',
+  'x-error',
+  'x-original-queue',
+  'x-failed-at',
+  'x-death',
+  'x-first-death-exchange',
+  'x-first-death-queue',
+  'x-first-death-reason',
+  'x-last-death-exchange',
+  'x-last-death-queue',
+  'x-last-death-reason',
+  'x-encryption',
+  'x-encryption-key-id',
+  'x-signature',
+  'x-signer-id'
+];
+const MESSAGE_PROPERTIES = STRING_PROPERTIES.concat(BOOLEAN_PROPERTIES, [
+  'priority',
+  'timestamp',
+  'headers',
+  'expiration',
+  'deliveryMode'
+]);
+
+/**
+ * Serializes the supplied error, so as to be sent as reply.
+ * @param {Error} err
+ * @returns {Object}
+ */
+function serializeError(err) {
+  if (!(err instanceof Error)) {
+    return { name: 'Error', message: String(err) };
+  }
+
+  return omitBy({
+    name: err.name,
+    message: err.message,
+    code: err.code
+  }, isUndefined);
+}
+
+/**
+ * Reconstructs the error described by the supplied serialized error.
+ * @param {Object} payload
+ * @returns {Error}
+ */
+function deserializeError(payload) {
+  const err = new Error(payload.message);
+  err.name = payload.name;
+  if (!isUndefined(payload.code)) {
+    err.code = payload.code;
+  }
+  return err;
+}
+
+/**
+ * Returns the name of the retry queue for the designated queue and delay.
+ * @param {string} queue
+ * @param {number} delay in milliseconds
+ * @returns {string}
+ */
+function getRetryQueue(queue, delay) {
+  return `${queue}.retry.${delay}`;
+}
+
+/**
+ * Returns the name of the queue of the designated partition of the given exchange.
+ * @param {string} exchange
+ * @param {number} partition zero-based partition number
+ * @returns {string}
+ */
+function getPartitionQueue(exchange, partition) {
+  return `${exchange}.partition.${partition}`;
+}
+
+/**
+ * Returns the name of the delay queue for the designated target and delay,
+ * where the target is either the exchange, or the queue if sent via the default exchange.
+ * @param {string} exchange
+ * @param {string} routingKey
+ * @param {number} delay in milliseconds
+ * @returns {string}
+ */
+function getDelayQueue(exchange, routingKey, delay) {
+  return exchange === '' ? `delay.${delay}.queue.${routingKey}` : `delay.${delay}.exchange.${exchange}`;
+}
+
+/**
+ * Returns the name of the delayed message exchange for the designated target,
+ * i.e. the exchange, or the queue if sent via the default exchange.
+ * @param {string} exchange
+ * @param {string} routingKey
+ * @returns {string}
+ */
+function getDelayedExchange(exchange, routingKey) {
+  return exchange === '' ? `delayed.queue.${routingKey}` : `delayed.exchange.${exchange}`;
+}
+
+/**
+ * Validates the supplied message properties, as accepted by amqplib's publish() and sendToQueue().
+ * Unspecified properties are skipped; unknown properties are dropped.
+ * @param {Object} props message properties
+ * @returns {Object} known message properties
+ * @throws {TypeError} if any property is invalid
+ */
+function validateProperties(props) {
+  STRING_PROPERTIES.forEach((key) => {
+    if (!(isString(props[key]) || isUndefined(props[key]))) {
+      throw new TypeError(`Invalid "${key}" property; expected string, received ${typeOf(props[key])}`);
+    }
+  });
+  BOOLEAN_PROPERTIES.forEach((key) => {
+    if (!(isBoolean(props[key]) || isUndefined(props[key]))) {
+      throw new TypeError(`Invalid "${key}" property; expected boolean, received ${typeOf(props[key])}`);
+    }
+  });
+
+  const {
+    priority,
+    timestamp,
+    headers,
+    expiration,
+    deliveryMode
+  } = props;
+
+  if (!(isInteger(priority) || isUndefined(priority))) {
+    throw new TypeError(`Invalid "priority" property; expected integer, received ${typeOf(priority)}`);
+  }
+  if (isInteger(priority) && !inRange(priority, 1, 11)) {
+    throw new TypeError('Invalid "priority" property; must be between 1 and 10');
+  }
+  if (!(isInteger(timestamp) || isUndefined(timestamp))) {
+    throw new TypeError(`Invalid "timestamp" property; expected integer, received ${typeOf(timestamp)}`);
+  }
+  if (!(isPlainObject(headers) || isUndefined(headers))) {
+    throw new TypeError(`Invalid "headers" property; expected plain object, received ${typeOf(headers)}`);
+  }
+  if (!((isInteger(expiration) && expiration >= 0) || isUndefined(expiration))) {
+    throw new TypeError('Invalid "expiration" property; expected non-negative integer');
+  }
+  if (!(deliveryMode === 1 || deliveryMode === 2 || isUndefined(deliveryMode))) {
+    throw new TypeError('Invalid "deliveryMode" property; expected 1 (non-persistent) or 2 (persistent)');
+  }
+
+  return omitBy(pick(props, MESSAGE_PROPERTIES), isUndefined);
+}
+
+/**
+ * Returns the key of the schema registry for the designated message type and version.
+ * @param {string} type
+ * @param {string|number|null} version
+ * @returns {string}
+ */
+function getSchemaKey(type, version) {
+  return JSON.stringify([type, isNull(version) ? null : String(version)]);
+}
+
+/**
+ * Creates the signing state of a message bus from the supplied (validated) signing options.
+ * The signer of the message bus is trusted implicitly, using the public counterpart of its key with ed25519.
+ * @param {Object} options signing options
+ * @returns {Object} i.e. { algorithm, signerId, key, trustedSigners: Map }
+ */
+function createSigning(options) {
+  const {
+    algorithm = 'hmac-sha256',
+    signerId = null,
+    key = null,
+    trustedSigners = {}
+  } = options;
+  const signers = new Map(Object.entries(trustedSigners));
+
+  if (key !== null && !signers.has(signerId)) {
+    signers.set(signerId, algorithm === 'ed25519' ? signing.getPublicKey(key) : key);
+  }
+
+  return {
+    algorithm,
+    signerId,
+    key,
+    trustedSigners: signers
+  };
+}
+
+/**
+ * Calculates the delay before the designated reconnection attempt, using exponential backoff with random jitter.
+ * @param {number} attempt reconnection attempt, starting from 1
+ * @param {Object} options reconnect options
+ * @returns {number} delay in milliseconds
+ */
+function calculateReconnectDelay(attempt, options) {
+  const {
+    initialDelay,
+    maxDelay,
+    factor,
+    jitter
+  } = options;
+  const delay = Math.min(initialDelay * (factor ** (attempt - 1)), maxDelay);
+  const randomness = delay * jitter * ((Math.random() * 2) - 1); // i.e. +/- jitter
+  return Math.round(Math.min(delay + randomness, maxDelay));
+}
+
+/**
+ * Returns the key recording the supplied message in the consumer's dedupe store, i.e. "<queue>:<messageId>".
+ * Messages without messageId cannot be deduplicated.
+ * @param {Object} consumer
+ * @param {Object} msg amqplib message
+ * @returns {string|null} or null if deduplication does not apply
+ */
+function getDedupeKey(consumer, msg) {
+  const { messageId } = msg.properties;
+
+  if (consumer.options.dedupe === null || !isString(messageId)) {
+    return null;
+  }
+
+  return `${consumer.queue}:${messageId}`;
+}
+
+/**
+ * Runs the supplied middleware in order, Koa-style, followed by the given terminal function.
+ * Each middleware receives the context and a next() function, which runs the rest of the chain
+ * and returns a promise settling once the rest of the chain is done.
+ * @param {Array<Function>} middleware i.e. async function(ctx, next) {}
+ * @param {Object} ctx
+ * @param {Function} last terminal function(ctx)
+ * @returns {Promise}
+ */
+function runMiddleware(middleware, ctx, last) {
+  const dispatch = (i) => {
+    if (i === middleware.length) {
+      return Promise.try(() => last(ctx));
+    }
+
+    let isCalled = false;
+    return Promise.try(() => middleware[i](ctx, () => {
+      if (isCalled) {
+        return Promise.reject(new Error('Unable to run middleware; next() called more than once'));
+      }
+      isCalled = true;
+      return dispatch(i + 1);
+    }));
+  };
+
+  return dispatch(0);
+}
+
+class MessageBus extends EventEmitter {
   /**
    * Constructs new message bus with the supplied properties.
    * @param {Object} props message bus properties
-   * @property {string} props.url AMQP server URL
+   * @property {string} props.url AMQP server URL; use "memory://" (or "memory://<name>") for the in-memory transport, e.g. in unit tests
    * @property {string} [props.encryptionKey]
+   * @property {Object<string, string>} [props.encryptionKeys] keyring of encryption keys by key ID, to use instead of encryptionKey when rotating keys
+   * @property {string} [props.encryptionKeyId] ID of the active encryption key, used to encrypt outgoing messages; required with encryptionKeys
+   * @property {boolean} [props.legacyDecryption=false] whether to accept messages encrypted by v.2 of the library, i.e. with crypto.createCipher()
+   * @property {boolean} [props.mandatory=false] whether published messages must be routed to at least one queue;
+   *   unroutable messages are returned by the server and the corresponding publish is rejected
+   * @property {Object} [props.messageDefaults] default properties of published messages, e.g. { appId: 'my-app' };
+   *   messages are persistent, unless specified otherwise
+   * @property {Object} [props.compression] compression of outgoing messages; incoming messages are decompressed regardless
+   * @property {string} [props.compression.algorithm="gzip"] either "gzip", "deflate" or "brotli"
+   * @property {number} [props.compression.threshold=1024] min size of serialized messages to compress, in bytes
+   * @property {Object} [props.signing] message signing, independent of encryption
+   * @property {string} [props.signing.algorithm="hmac-sha256"] either "hmac-sha256" or "ed25519"
+   * @property {string} [props.signing.signerId] ID of the message bus, as recorded in the "x-signer-id" header of outgoing messages
+   * @property {string|Buffer|KeyObject} [props.signing.key] HMAC secret or ed25519 private key, used to sign outgoing messages
+   * @property {Object<string, string|Buffer|KeyObject>} [props.signing.trustedSigners] HMAC secrets or ed25519 public keys by signer ID,
+   *   used to verify incoming messages; the message bus trusts its own signer ID implicitly
+   * @property {Object} [props.offlineBuffer] buffer of outgoing messages published while disconnected, e.g. during reconnection;
+   *   buffered messages are sent in order once connected
+   * @property {number} [props.offlineBuffer.maxSize=1000] max number of buffered messages; further messages are rejected
+   * @property {number} [props.offlineBuffer.ttl=60000] max time a message may wait in the buffer, in milliseconds
+   * @property {string} [props.offlineBuffer.file] path of append-only file to persist buffered messages to, thus they survive restarts
+   * @property {string} [props.delayedDelivery="queue"] how delayed messages are held back, either "queue", i.e. via delay queues
+   *   that dead-letter messages to their destination once expired, or "exchange", i.e. via the delayed message exchange plugin
+   * @property {Object} [props.reconnect] reconnect strategy
+   * @property {number} [props.reconnect.initialDelay=1000] delay before the 1st reconnection attempt, in milliseconds
+   * @property {number} [props.reconnect.maxDelay=30000] max delay between reconnection attempts, in milliseconds
+   * @property {number} [props.reconnect.factor=2] multiplier applied to the delay after each failed attempt
+   * @property {number} [props.reconnect.jitter=0.2] random jitter, as a fraction of the delay, between 0 and 1
+   * @property {number} [props.reconnect.maxAttempts=Infinity] max number of reconnection attempts before giving up
    * @constructor
    */
   constructor(props) {
+    super();
+
     if (!isPlainObject(props)) {
       throw new TypeError(`Invalid props; expected plain object, received ${typeOf(props)}`);
     }
 
     const {
       url,
-      encryptionKey = null
+      encryptionKey = null,
+      encryptionKeys = null,
+      encryptionKeyId = null,
+      legacyDecryption = false,
+      mandatory = false,
+      messageDefaults = {},
+      compression: compressionOptions = null,
+      signing: signingOptions = null,
+      offlineBuffer: offlineBufferOptions = null,
+      delayedDelivery = 'queue',
+      reconnect = {}
     } = props;
 
     if (!isString(url)) {
@@ -36,211 +360,2164 @@ class MessageBus {
     if (!(isString(encryptionKey) || isNull(encryptionKey))) {
       throw new TypeError(`Invalid encryptionKey property; expected string, received ${typeOf(encryptionKey)}`);
     }
+    if (!(isPlainObject(encryptionKeys) || isNull(encryptionKeys))) {
+      throw new TypeError(`Invalid encryptionKeys property; expected plain object, received ${typeOf(encryptionKeys)}`);
+    }
+    if (encryptionKeys !== null) {
+      if (encryptionKey !== null) {
+        throw new TypeError('Invalid encryptionKeys property; cannot be combined with encryptionKey');
+      }
+      Object.keys(encryptionKeys).forEach((keyId) => {
+        if (!isString(encryptionKeys[keyId])) {
+          throw new TypeError(`Invalid encryptionKeys["${keyId}"] property; expected string, received ${typeOf(encryptionKeys[keyId])}`);
+        }
+      });
+      if (!isString(encryptionKeyId)) {
+        throw new TypeError(`Invalid encryptionKeyId property; expected string, received ${typeOf(encryptionKeyId)}`);
+      }
+      if (!has(encryptionKeys, encryptionKeyId)) {
+        throw new TypeError(`Invalid encryptionKeyId property; key "${encryptionKeyId}" not found in encryptionKeys`);
+      }
+    } else if (encryptionKeyId !== null) {
+      throw new TypeError('Invalid encryptionKeyId property; requires encryptionKeys to be specified');
+    }
+    if (!isBoolean(legacyDecryption)) {
+      throw new TypeError(`Invalid legacyDecryption property; expected boolean, received ${typeOf(legacyDecryption)}`);
+    }
+    if (!isBoolean(mandatory)) {
+      throw new TypeError(`Invalid mandatory property; expected boolean, received ${typeOf(mandatory)}`);
+    }
+    if (!isPlainObject(messageDefaults)) {
+      throw new TypeError(`Invalid messageDefaults property; expected plain object, received ${typeOf(messageDefaults)}`);
+    }
+    if (!(isPlainObject(compressionOptions) || isNull(compressionOptions))) {
+      throw new TypeError(`Invalid compression property; expected plain object, received ${typeOf(compressionOptions)}`);
+    }
+    if (compressionOptions !== null) {
+      const { algorithm = 'gzip', threshold = 1024 } = compressionOptions;
+
+      if (!has(compression.ALGORITHMS, algorithm)) {
+        throw new TypeError('Invalid compression.algorithm property; expected "gzip", "deflate" or "brotli"');
+      }
+      if (!compression.isSupported(algorithm)) {
+        throw new TypeError(`Invalid compression.algorithm property; "${algorithm}" is not supported by this version of Node.js`);
+      }
+      if (!isInteger(threshold) || threshold < 0) {
+        throw new TypeError('Invalid compression.threshold property; expected non-negative integer');
+      }
+    }
+    if (!(isPlainObject(signingOptions) || isNull(signingOptions))) {
+      throw new TypeError(`Invalid signing property; expected plain object, received ${typeOf(signingOptions)}`);
+    }
+    if (signingOptions !== null) {
+      const {
+        algorithm = 'hmac-sha256',
+        signerId = null,
+        key = null,
+        trustedSigners = {}
+      } = signingOptions;
+
+      if (!signing.ALGORITHMS.includes(algorithm)) {
+        throw new TypeError('Invalid signing.algorithm property; expected "hmac-sha256" or "ed25519"');
+      }
+      if (!signing.isSupported(algorithm)) {
+        throw new TypeError(`Invalid signing.algorithm property; "${algorithm}" is not supported by this version of Node.js`);
+      }
+      if (!(isString(signerId) || isNull(signerId))) {
+        throw new TypeError(`Invalid signing.signerId property; expected string, received ${typeOf(signerId)}`);
+      }
+      if (!(isString(key) || isObject(key) || isNull(key))) {
+        throw new TypeError(`Invalid signing.key property; expected string, Buffer or KeyObject, received ${typeOf(key)}`);
+      }
+      if (isNull(signerId) !== isNull(key)) {
+        throw new TypeError('Invalid signing property; signerId and key must be specified together');
+      }
+      if (!isPlainObject(trustedSigners)) {
+        throw new TypeError(`Invalid signing.trustedSigners property; expected plain object, received ${typeOf(trustedSigners)}`);
+      }
+      if (isNull(key) && Object.keys(trustedSigners).length === 0) {
+        throw new TypeError('Invalid signing property; expected key and / or trustedSigners to be specified');
+      }
+    }
+    if (!(isPlainObject(offlineBufferOptions) || isNull(offlineBufferOptions))) {
+      throw new TypeError(`Invalid offlineBuffer property; expected plain object, received ${typeOf(offlineBufferOptions)}`);
+    }
+    if (offlineBufferOptions !== null) {
+      const { maxSize = 1000, ttl = 60000, file = null } = offlineBufferOptions;
+
+      if (!isInteger(maxSize) || maxSize < 1) {
+        throw new TypeError('Invalid offlineBuffer.maxSize property; expected positive integer');
+      }
+      if (!isInteger(ttl) || ttl < 1) {
+        throw new TypeError('Invalid offlineBuffer.ttl property; expected positive integer');
+      }
+      if (!(isString(file) || isNull(file))) {
+        throw new TypeError(`Invalid offlineBuffer.file property; expected string, received ${typeOf(file)}`);
+      }
+    }
+    if (!(delayedDelivery === 'queue' || delayedDelivery === 'exchange')) {
+      throw new TypeError('Invalid delayedDelivery property; expected "queue" or "exchange"');
+    }
+    if (!isPlainObject(reconnect)) {
+      throw new TypeError(`Invalid reconnect property; expected plain object, received ${typeOf(reconnect)}`);
+    }
+
+    const {
+      initialDelay = 1000,
+      maxDelay = 30000,
+      factor = 2,
+      jitter = 0.2,
+      maxAttempts = Infinity
+    } = reconnect;
+
+    if (!isInteger(initialDelay) || initialDelay < 0) {
+      throw new TypeError('Invalid reconnect.initialDelay property; expected non-negative integer');
+    }
+    if (!isInteger(maxDelay) || maxDelay < initialDelay) {
+      throw new TypeError('Invalid reconnect.maxDelay property; expected integer, not less than initialDelay');
+    }
+    if (!isNumber(factor) || factor < 1) {
+      throw new TypeError('Invalid reconnect.factor property; expected number, not less than 1');
+    }
+    if (!isNumber(jitter) || jitter < 0 || jitter > 1) {
+      throw new TypeError('Invalid reconnect.jitter property; expected number between 0 and 1');
+    }
+    if (!(isInteger(maxAttempts) || maxAttempts === Infinity) || maxAttempts < 1) {
+      throw new TypeError('Invalid reconnect.maxAttempts property; expected positive integer or Infinity');
+    }
 
     this.url = url;
-    this.encryptionKey = encryptionKey;
+    this.broker = url.startsWith(MEMORY_URL_PREFIX) ? MemoryBroker.get(url) : null;
+    this.encryptionKeys = new Map(encryptionKeys ? Object.entries(encryptionKeys) : []);
+    this.encryptionKeyId = encryptionKeyId;
+    this.encryptionKey = encryptionKeyId ? this.encryptionKeys.get(encryptionKeyId) : encryptionKey;
+    this.legacyDecryption = legacyDecryption;
+    this.mandatory = mandatory;
+    this.compression = compressionOptions && Object.assign({ algorithm: 'gzip', threshold: 1024 }, compressionOptions);
+    this.signing = signingOptions && createSigning(signingOptions);
+    this.offlineBuffer = offlineBufferOptions && new OfflineBuffer(
+      Object.assign({ maxSize: 1000, ttl: 60000 }, offlineBufferOptions),
+      (err) => this.emitError(err)
+    );
+    this.isFlushing = false;
+    this.delayedDelivery = delayedDelivery;
+    this.messageDefaults = validateProperties(has(messageDefaults, 'deliveryMode')
+      ? messageDefaults
+      : Object.assign({ persistent: true }, messageDefaults));
+    this.reconnectOptions = {
+      initialDelay,
+      maxDelay,
+      factor,
+      jitter,
+      maxAttempts
+    };
+    this.reconnection = null;
     this.consumers = new Map();
+    this.topology = {
+      exchanges: new Map(),
+      queues: new Map(),
+      bindings: new Map(),
+      exchangeBindings: new Map()
+    };
+    this.partitions = new Map(); // number of partitions, by exchange
     this.conn = null;
     this.incomingChannel = null;
     this.outgoingChannel = null;
+    this.channelRecovery = null; // reopening of channels closed by the server, if any
+    this.replyChannel = null;
+    this.pendingRequests = new Map();
+    this.pendingReturns = new Map(); // rejections of unconfirmed mandatory publishes, in publish order, by message ID
+    this.codecs = new Map(Object.entries(codecs.builtins));
+    this.ajv = new Ajv({ allErrors: true });
+    this.schemas = new Map();
+    this.middleware = {
+      inbound: [],
+      outbound: []
+    };
   }
 
   /**
    * Connects to AMQP server.
+   * If a reconnection is in progress, waits for it to complete.
    * @returns {Promise}
    */
   async connect() {
+    // wait for pending reconnection, if any; a cancelled reconnection leaves the message bus disconnected
+    if (this.reconnection) {
+      await this.reconnection.promise;
+    }
+
     // make sure not already connected
     if (this.conn) {
       return; // exit
     }
 
+    await this.createConnection();
+
+    // restore topology and consumers left behind by a failed reconnection, if any
+    try {
+      await this.restore();
+    } catch (err) {
+      await this.discardConnection();
+      throw err;
+    }
+
+    this.emit('connected');
+    this.flushOfflineBuffer();
+  }
+
+  /**
+   * Opens new connection to AMQP server, along with channels for incoming / outgoing messages.
+   * @returns {Promise}
+   */
+  async createConnection() {
     // create connection
-    this.conn = await amqp.connect(this.url);
+    this.conn = await (this.broker === null ? amqp.connect(this.url) : this.broker.connect());
     this.conn.on('error', (err) => {
-      console.error(err);
+      this.emitError(err);
+    });
+    this.conn.on('close', (err) => {
+      this.rejectPendingRequests(new Error('Connection closed before reply was received'));
+      this.emit('disconnected', err);
+      // reconnection failure is signaled via the "reconnectFailed" event
+      this.reconnect().catch(() => {});
+    });
+    this.conn.on('blocked', (reason) => {
+      this.emit('blocked', reason);
+    });
+    this.conn.on('unblocked', () => {
+      this.emit('unblocked');
+    });
+
+    // create channels for topology / outgoing messages; consumer and reply channels are created on demand
+    this.incomingChannel = await this.openChannel(this.conn, 'incomingChannel');
+    this.outgoingChannel = await this.openChannel(this.conn, 'outgoingChannel');
+    this.channelRecovery = null;
+    this.replyChannel = null;
+  }
+
+  /**
+   * Opens the designated shared channel on the supplied connection.
+   * The channel is reopened whenever closed by the server, e.g. on publishing to a missing exchange,
+   * as the connection stays open and no reconnection takes place.
+   * @param {Connection} conn
+   * @param {string} name either "incomingChannel" or "outgoingChannel"
+   * @returns {Promise<Channel>}
+   */
+  async openChannel(conn, name) {
+    const channel = await (name === 'outgoingChannel' ? conn.createConfirmChannel() : conn.createChannel());
+
+    channel.on('error', (err) => {
+      this.emit('channelError', err);
+
+      // make sure connection is still current; channels of a closed connection are restored on reconnect
+      if (this.conn !== conn) {
+        return; // exit
+      }
+
+      this.channelRecovery = Promise.resolve(this.channelRecovery)
+        .then(() => this.openChannel(conn, name))
+        .then((reopened) => {
+          if (this.conn === conn) {
+            this[name] = reopened;
+          }
+        })
+        .catch(() => {}); // i.e. connection is lost, thus channels are reopened on reconnect
+      const recovery = this.channelRecovery;
+      recovery.then(() => {
+        if (this.channelRecovery === recovery) {
+          this.channelRecovery = null;
+        }
+      });
+    });
+
+    if (name === 'outgoingChannel') {
+      channel.on('return', (msg) => {
+        this.emit('returned', msg);
+        this.handleReturn(msg);
+      });
+    }
+
+    return channel;
+  }
+
+  /**
+   * Rejects the pending mandatory publish matching the supplied returned message, if any.
+   * Publishes sharing the message ID are matched in order, as the server returns messages before confirming them.
+   * @param {Object} msg amqplib message
+   */
+  handleReturn(msg) {
+    const { messageId } = msg.properties;
+    const rejects = this.pendingReturns.get(messageId);
+
+    if (!rejects) {
+      return; // exit
+    }
+
+    const { replyCode, replyText } = msg.fields;
+    const err = new Error(`Unable to publish message ${messageId}; returned by server with ${replyCode} ${replyText}`);
+    err.replyCode = replyCode;
+    err.replyText = replyText;
+
+    const reject = rejects.shift();
+    if (rejects.length === 0) {
+      this.pendingReturns.delete(messageId);
+    }
+    reject(err);
+  }
+
+  /**
+   * Emits the supplied error, provided there is at least one "error" listener.
+   * Unlike plain EventEmitter, an unhandled error does not crash the process.
+   * @param {Error} err
+   */
+  emitError(err) {
+    if (this.listenerCount('error') !== 0) {
+      this.emit('error', err);
+    }
+  }
+
+  /**
+   * Disconnects from AMQP server.
+   * Cancels any pending reconnection.
+   * @returns {Promise}
+   */
+  async disconnect() {
+    const { reconnection } = this;
+
+    // cancel pending reconnection, if any, and wait for it to wind down
+    if (reconnection) {
+      reconnection.cancel();
+      await reconnection.promise.catch(() => {}); // i.e. reconnection failure is signaled via "reconnectFailed"
+    }
+
+    // make sure not disconnected, incl. consumers left behind by a failed reconnection
+    if (!this.conn && !reconnection && this.consumers.size === 0) {
+      return; // exit
+    }
+
+    // unsubscribe any active consumer(s)
+    await this.unsubscribeAll();
+
+    // close connection
+    this.rejectPendingRequests(new Error('Disconnected before reply was received'));
+    if (this.conn) {
+      this.conn.removeAllListeners();
+      await this.conn.close();
+    }
+
+    // reset local state
+    this.conn = null;
+    this.incomingChannel = null;
+    this.outgoingChannel = null;
+    this.channelRecovery = null;
+    this.replyChannel = null;
+    this.topology.exchanges.clear();
+    this.topology.queues.clear();
+    this.topology.bindings.clear();
+    this.topology.exchangeBindings.clear();
+
+    this.emit('disconnected');
+  }
+
+  /**
+   * Reconnects to AMQP server, retrying with exponential backoff.
+   * Emits "reconnectFailed" and rejects once max attempts are exhausted.
+   * @returns {Promise}
+   */
+  async reconnect() {
+    // make sure not already reconnecting
+    if (this.reconnection) {
+      return this.reconnection.promise;
+    }
+
+    if (this.conn) {
+      this.conn.removeAllListeners();
+      this.conn = null; // you need this otherwise connect() will exit prematurily
+    }
+
+    const reconnection = {
+      cancelled: false,
+      timer: null,
+      resume: null,
+      cancel() {
+        this.cancelled = true;
+        clearTimeout(this.timer);
+        if (this.resume) {
+          this.resume();
+        }
+      }
+    };
+
+    this.reconnection = reconnection;
+    reconnection.promise = this.retryConnect(reconnection)
+      .then(() => {
+        this.reconnection = null;
+      }, (err) => {
+        this.reconnection = null;
+        throw err;
+      });
+
+    return reconnection.promise;
+  }
+
+  /**
+   * Attempts to connect to AMQP server, retrying until successful, cancelled or out of attempts.
+   * @param {Object} reconnection reconnection state
+   * @param {number} [attempt=1] current attempt number
+   * @returns {Promise}
+   */
+  async retryConnect(reconnection, attempt = 1) {
+    const { maxAttempts } = this.reconnectOptions;
+    const delay = calculateReconnectDelay(attempt, this.reconnectOptions);
+    this.emit('reconnecting', attempt, delay);
+
+    // wait before attempting; cancel() cuts the wait short
+    await new Promise((resolve) => {
+      reconnection.resume = resolve;
+      reconnection.timer = setTimeout(resolve, delay);
+    });
+
+    if (reconnection.cancelled) {
+      return; // exit
+    }
+
+    try {
+      await this.createConnection();
+
+      // make sure disconnect() was not called in the meantime
+      if (reconnection.cancelled) {
+        await this.discardConnection();
+        return; // exit
+      }
+
+      await this.restore();
+      this.emit('reconnected', attempt);
+      this.flushOfflineBuffer();
+      return; // exit
+    } catch (lastError) {
+      await this.discardConnection();
+
+      if (reconnection.cancelled) {
+        return; // exit
+      }
+
+      // give up
+      if (attempt >= maxAttempts) {
+        const err = new Error(`Unable to reconnect to AMQP server after ${maxAttempts} attempt(s); ${lastError.message}`);
+        err.cause = lastError;
+        if (this.offlineBuffer !== null) {
+          this.offlineBuffer.clear(err);
+        }
+        this.emit('reconnectFailed', err);
+        throw err;
+      }
+    }
+
+    await this.retryConnect(reconnection, attempt + 1);
+  }
+
+  /**
+   * Closes the current connection, if any, without triggering reconnection.
+   * @returns {Promise}
+   */
+  async discardConnection() {
+    const { conn } = this;
+
+    if (!conn) {
+      return; // exit
+    }
+
+    this.conn = null;
+    conn.removeAllListeners();
+
+    try {
+      await conn.close();
+    } catch (err) {
+      // connection already closed
+    }
+  }
+
+  /**
+   * Redeclares the exchanges, queues and bindings asserted so far and
+   * restores active consumers on the current connection.
+   * @returns {Promise}
+   */
+  async restore() {
+    const {
+      exchanges,
+      queues,
+      bindings,
+      exchangeBindings
+    } = this.topology;
+
+    await Promise.each(Array.from(exchanges), ([exchange, { type, options }]) => {
+      return this.incomingChannel.assertExchange(exchange, type, options);
+    });
+    await Promise.each(Array.from(queues), ([queue, options]) => {
+      return this.incomingChannel.assertQueue(queue, options);
     });
-    this.conn.on('close', () => {
-      this.reconnect();
+    await Promise.each(Array.from(bindings.values()), ([queue, source, pattern]) => {
+      return this.incomingChannel.bindQueue(queue, source, pattern);
+    });
+    await Promise.each(Array.from(exchangeBindings.values()), ([destination, source, pattern]) => {
+      return this.incomingChannel.bindExchange(destination, source, pattern);
+    });
+
+    // resume consumers that are not yet attached to the current connection
+    await Promise.each(Array.from(this.consumers), async ([consumerTag, consumer]) => {
+      if (consumer.conn === this.conn) {
+        return; // already restored
+      }
+
+      try {
+        await this.consume(consumerTag);
+      } catch (err) {
+        // queue is gone, e.g. server-named queue deleted along with the previous connection
+        if (err.code !== 404) {
+          throw err;
+        }
+        this.consumers.delete(consumerTag);
+        this.emit('consumerCancelled', consumerTag, consumer.queue);
+      }
     });
+  }
+
+  /**
+   * Registers the supplied middleware, running in order of registration.
+   * Outbound middleware run on #publish() and #sendToQueue(), before the message is encoded;
+   * inbound middleware run on subscriptions, after the message is decoded and before it reaches the listener.
+   * Middleware may modify ctx.message and ctx.props, or skip the rest of the chain by not calling next(),
+   * in which case outbound messages are not sent and inbound messages are acknowledged.
+   * @example
+   * bus.use(async (ctx, next) => {
+   *   const start = Date.now();
+   *   await next();
+   *   console.log(`${ctx.direction} ${ctx.props.type} took ${Date.now() - start} ms`);
+   * });
+   * @param {Function|Object} middleware async function(ctx, next) {}, running in both directions;
+   *   alternatively, an object with inbound and / or outbound middleware functions
+   * @returns {MessageBus} to allow method chaining
+   */
+  use(middleware) {
+    if (isFunction(middleware)) {
+      this.middleware.inbound.push(middleware);
+      this.middleware.outbound.push(middleware);
+      return this;
+    }
+
+    if (!isPlainObject(middleware)) {
+      throw new TypeError(`Invalid middleware; expected function or plain object, received ${typeOf(middleware)}`);
+    }
+
+    const { inbound = null, outbound = null } = middleware;
+
+    if (!(isFunction(inbound) || isNull(inbound))) {
+      throw new TypeError(`Invalid middleware.inbound property; expected function, received ${typeOf(inbound)}`);
+    }
+    if (!(isFunction(outbound) || isNull(outbound))) {
+      throw new TypeError(`Invalid middleware.outbound property; expected function, received ${typeOf(outbound)}`);
+    }
+    if (inbound === null && outbound === null) {
+      throw new TypeError('Invalid middleware; expected inbound and / or outbound to be specified');
+    }
+
+    if (inbound !== null) {
+      this.middleware.inbound.push(inbound);
+    }
+    if (outbound !== null) {
+      this.middleware.outbound.push(outbound);
+    }
+
+    return this;
+  }
+
+  /**
+   * Registers the supplied JSON Schema for messages of the designated type and, optionally, version.
+   * Messages specify their schema version with the "x-schema-version" header.
+   * @param {string} type message type, as in props.type
+   * @param {Object} schema JSON Schema
+   * @param {Object} [options]
+   * @property {string|number} [options.version] schema version; when unspecified, the schema applies to any version lacking a schema of its own
+   */
+  registerSchema(type, schema, options = {}) {
+    if (!isString(type)) {
+      throw new TypeError(`Invalid type; expected string, received ${typeOf(type)}`);
+    }
+    if (!(isPlainObject(schema) || isBoolean(schema))) {
+      throw new TypeError(`Invalid schema; expected plain object, received ${typeOf(schema)}`);
+    }
+    if (!isPlainObject(options)) {
+      throw new TypeError(`Invalid options; expected plain object, received ${typeOf(options)}`);
+    }
+
+    const { version = null } = options;
+
+    if (!(isString(version) || isInteger(version) || isNull(version))) {
+      throw new TypeError(`Invalid "version" option; expected string or integer, received ${typeOf(version)}`);
+    }
+
+    let validate;
+    try {
+      validate = this.ajv.compile(schema);
+    } catch (err) {
+      throw new TypeError(`Invalid schema; ${err.message}`);
+    }
+
+    this.schemas.set(getSchemaKey(type, version), validate);
+  }
+
+  /**
+   * Validates the supplied payload against the schema registered for its type and version, if any.
+   * @param {*} payload
+   * @param {Object} [props] message properties
+   * @throws {Error} if the payload is invalid; the error's "errors" property lists the validation errors
+   */
+  validateMessage(payload, props = {}) {
+    const { type, headers = {} } = props;
+    const version = headers['x-schema-version'];
+
+    if (!isString(type)) {
+      return; // exit
+    }
+
+    const validate = (isUndefined(version) ? null : this.schemas.get(getSchemaKey(type, version)))
+      || this.schemas.get(getSchemaKey(type, null));
+
+    if (!validate || validate(payload)) {
+      return; // exit
+    }
+
+    const text = this.ajv.errorsText(validate.errors, { dataVar: 'message' });
+    const err = new Error(`Invalid message of type "${type}"${isUndefined(version) ? '' : ` v.${version}`}; ${text}`);
+    err.errors = validate.errors;
+    throw err;
+  }
+
+  /**
+   * Registers the supplied codec under the designated content type, replacing any codec registered previously.
+   * @param {string} contentType MIME type, e.g. "application/protobuf"
+   * @param {Object} codec
+   * @property {Function<*>} codec.encode function(payload) returning a Buffer
+   * @property {Function<Buffer>} codec.decode function(buf) returning the payload
+   */
+  registerCodec(contentType, codec) {
+    if (!isString(contentType)) {
+      throw new TypeError(`Invalid contentType; expected string, received ${typeOf(contentType)}`);
+    }
+    if (!isObject(codec)) {
+      throw new TypeError(`Invalid codec; expected object, received ${typeOf(codec)}`);
+    }
+    if (!isFunction(codec.encode)) {
+      throw new TypeError(`Invalid codec.encode property; expected function, received ${typeOf(codec.encode)}`);
+    }
+    if (!isFunction(codec.decode)) {
+      throw new TypeError(`Invalid codec.decode property; expected function, received ${typeOf(codec.decode)}`);
+    }
+
+    this.codecs.set(codecs.parseContentType(contentType), codec);
+  }
+
+  /**
+   * Returns the codec registered under the designated content type.
+   * @param {string} contentType
+   * @param {string} action action to mention in error messages, i.e. "encode" or "decode"
+   * @returns {Object}
+   */
+  getCodec(contentType, action) {
+    const codec = this.codecs.get(codecs.parseContentType(contentType));
+
+    if (!codec) {
+      throw new Error(`Unable to ${action} message; unsupported content type "${contentType}"`);
+    }
+
+    return codec;
+  }
+
+  /**
+   * Serializes the supplied payload with the codec of the designated content type.
+   * @param {*} payload
+   * @param {string} [contentType="application/json"]
+   * @returns {Buffer}
+   */
+  encode(payload, contentType = codecs.DEFAULT_CONTENT_TYPE) {
+    const buf = this.getCodec(contentType, 'encode').encode(payload);
+
+    if (!Buffer.isBuffer(buf)) {
+      throw new TypeError(`Unable to encode message; codec of "${contentType}" returned ${typeOf(buf)}, instead of Buffer`);
+    }
+
+    return buf;
+  }
+
+  /**
+   * Deserializes the supplied buffer with the codec of the designated content type.
+   * Messages without content type are treated as JSON, i.e. as published by earlier versions of the library.
+   * @param {Buffer} buf
+   * @param {string} [contentType="application/json"]
+   * @returns {*}
+   */
+  decode(buf, contentType = codecs.DEFAULT_CONTENT_TYPE) {
+    return this.getCodec(contentType, 'decode').decode(buf);
+  }
+
+  /**
+   * Validates, serializes, compresses, encrypts and signs the supplied payload.
+   * The payload is validated against the schema registered for its type, if any.
+   * The payload is serialized according to its "contentType" property, which defaults to "application/json".
+   * Provided compression is enabled, payloads exceeding the compression threshold are compressed,
+   * unless a "contentEncoding" property is specified; the algorithm used is recorded in the "contentEncoding" property.
+   * Encrypted messages are marked with the "x-encryption" header, specifying the algorithm used,
+   * and the "x-encryption-key-id" header, specifying the active key ID if a keyring is used.
+   * Provided a signing key is specified, messages are signed with the "x-signature" and "x-signer-id" headers.
+   * @param {*} payload
+   * @param {Object} [props] message properties
+   * @returns {Object} i.e. { content: Buffer, props: Object }, where props are the supplied props plus content type,
+   *   content encoding and any encryption / signing headers
+   */
+  encrypt(payload, props = {}) {
+    this.validateMessage(payload, props);
+
+    const { contentType = codecs.DEFAULT_CONTENT_TYPE } = props;
+    let buf = this.encode(payload, contentType);
+    const properties = Object.assign({}, props, { contentType });
+
+    if (this.compression !== null && isUndefined(props.contentEncoding) && buf.length >= this.compression.threshold) {
+      const { content, contentEncoding } = compression.compress(buf, this.compression.algorithm);
+      buf = content;
+      properties.contentEncoding = contentEncoding;
+    }
+
+    if (this.encryptionKey != null) {
+      buf = encryption.encrypt(buf, this.encryptionKey);
+      properties.headers = omitBy(Object.assign({}, props.headers, {
+        'x-encryption': encryption.ALGORITHM,
+        'x-encryption-key-id': this.encryptionKeyId
+      }), isNull);
+    }
+
+    // sign message as transmitted, thus signature can be verified without decrypting
+    if (this.signing !== null && this.signing.key !== null) {
+      const { algorithm, signerId, key } = this.signing;
+      const signature = signing.sign(signing.getSignedData(buf, properties, signerId), algorithm, key);
+      properties.headers = Object.assign({}, properties.headers, {
+        'x-signature': signature,
+        'x-signer-id': signerId
+      });
+    }
+
+    return { content: buf, props: properties };
+  }
+
+  /**
+   * Verifies the signature of the supplied message, as specified by the "x-signature" and "x-signer-id" headers.
+   * Throws an error if the signature is missing or invalid, or the signer is not trusted.
+   * @param {Buffer} buf message body, as transmitted
+   * @param {Object} [props] message properties
+   * @returns {string} the signer ID
+   */
+  verifySignature(buf, props = {}) {
+    const { headers = {} } = props;
+    const signature = headers['x-signature'];
+    const signerId = headers['x-signer-id'];
+
+    if (this.signing === null) {
+      throw new Error('Unable to verify message; signing is not specified');
+    }
+    if (!isString(signature) || !isString(signerId)) {
+      throw new Error('Unable to verify message; signature is missing');
+    }
+    if (!this.signing.trustedSigners.has(signerId)) {
+      throw new Error(`Unable to verify message; unknown signer ID "${signerId}"`);
+    }
+
+    const { algorithm, trustedSigners } = this.signing;
+    const data = signing.getSignedData(buf, props, signerId);
+    if (!signing.verify(data, signature, algorithm, trustedSigners.get(signerId))) {
+      throw new Error(`Unable to verify message; invalid signature by signer "${signerId}"`);
+    }
+
+    return signerId;
+  }
+
+  /**
+   * Decrypts the supplied buffer and returns its payload.
+   * The decryption algorithm is selected by the "x-encryption" message header,
+   * the key by the "x-encryption-key-id" header, defaulting to the active key.
+   * The payload is decompressed according to the "contentEncoding" property and deserialized according to the "contentType" property.
+   * @param {Buffer} buf
+   * @param {Object} [props] message properties
+   * @returns {*}
+   */
+  decrypt(buf, props = {}) {
+    const { headers = {}, contentType, contentEncoding } = props;
+    const algorithm = headers['x-encryption'];
+    const keyId = headers['x-encryption-key-id'];
+
+    if (this.encryptionKey == null) {
+      if (!isUndefined(algorithm)) {
+        throw new Error('Unable to decrypt message; encryptionKey is not specified');
+      }
+      return this.decode(compression.decompress(buf, contentEncoding), contentType);
+    }
+
+    if (!isUndefined(keyId) && !this.encryptionKeys.has(keyId)) {
+      throw new Error(`Unable to decrypt message; unknown encryption key ID "${keyId}"`);
+    }
+
+    const key = isUndefined(keyId) ? this.encryptionKey : this.encryptionKeys.get(keyId);
+
+    let decrypted;
+    if (algorithm === encryption.ALGORITHM) {
+      decrypted = encryption.decrypt(buf, key);
+    } else if (isUndefined(algorithm) && this.legacyDecryption) {
+      decrypted = encryption.decryptLegacy(buf, key);
+    } else if (isUndefined(algorithm)) {
+      throw new Error('Unable to decrypt message; message is not encrypted or was encrypted with legacy algorithm');
+    } else {
+      throw new Error(`Unable to decrypt message; unsupported encryption algorithm "${algorithm}"`);
+    }
+
+    return this.decode(compression.decompress(decrypted, contentEncoding), contentType);
+  }
+
+  /**
+   * Subscribes to the designated queue for messages.
+   * @param {string} queue
+   * @param {Function<Object, Object, Function>|Object|Router} listener i.e. function(msg, props, done) {};
+   *   alternatively, handlers by message type, i.e. { handlers: { [type]: listener }, fallback: listener }, or a Router
+   * @param {Object} [options] subscription options
+   * @property {string|Function} [options.onDecodeError="reject"] policy for messages that cannot be decoded or whose listener throws;
+   *   either "reject" (i.e. reject without requeue), "deadLetter" or a function(err, msg) hook
+   * @property {string|Function} [options.onValidationError] policy for messages failing validation against the schema of their type;
+   *   same as onDecodeError, which it defaults to
+   * @property {string} [options.deadLetterQueue] queue to dead-letter messages to; required when either policy is "deadLetter",
+   *   defaults to "<queue>.dead" when retry is enabled
+   * @property {Object} [options.retry] retry policy for messages failed via done(err); when unspecified, failed messages are requeued immediately
+   * @property {number} [options.retry.maxAttempts=3] max number of processing attempts, before the message is dead-lettered
+   * @property {Array<number>} [options.retry.delays=[1000]] delay before each retry, in milliseconds; the last delay applies to any further retries
+   * @property {boolean} [options.promise=false] whether listener is an async function(msg, props) {}, instead of accepting a done callback;
+   *   the message is acknowledged when the returned promise resolves, or failed when it rejects
+   * @property {number} [options.timeout] max time to process a message, in milliseconds; hung listeners are treated as failed
+   * @property {number} [options.prefetch=1] max number of unacknowledged messages delivered to this subscription
+   * @property {number} [options.concurrency] max number of messages processed in parallel; defaults to prefetch
+   * @property {boolean} [options.verifySignature] whether to verify message signatures, treating messages with missing or invalid
+   *   signature as poison messages; defaults to true if signing is specified
+   * @property {string} [options.unhandled="reject"] policy for messages of a type without handler, when routing by type;
+   *   either "ack", "reject" (i.e. reject without requeue) or "deadLetter"
+   * @property {boolean|Object} [options.dedupe=false] whether to skip messages already processed, i.e. acknowledge them
+   *   without calling the listener, by messageId; either true, to use an in-memory store, or a store with has(key) and add(key) methods
+   * @property {boolean} [options.outbox=false] whether to supply the listener with an outbox, as its last argument;
+   *   messages published via the outbox are sent once the listener is done, and the message is acknowledged once they are confirmed
+   * @returns {Promise<Function>} resolving to an unsubscribe method
+   */
+  async subscribe(queue, listener, options = {}) {
+    if (!isString(queue)) {
+      throw new TypeError(`Invalid queue; expected string, received ${typeOf(queue)}`);
+    }
+    if (!(isFunction(listener) || isPlainObject(listener) || listener instanceof Router)) {
+      throw new TypeError(`Invalid listener; expected function, plain object or Router, received ${typeOf(listener)}`);
+    }
+    if (!isPlainObject(options)) {
+      throw new TypeError(`Invalid options; expected plain object, received ${typeOf(options)}`);
+    }
+
+    const {
+      onDecodeError = 'reject',
+      retry = null,
+      promise = false,
+      timeout = null,
+      prefetch = 1,
+      verifySignature = this.signing !== null,
+      unhandled = 'reject',
+      dedupe = false,
+      outbox = false
+    } = options;
+    const { concurrency = prefetch, onValidationError = onDecodeError } = options;
+    let { deadLetterQueue = null } = options;
+
+    if (!(onDecodeError === 'reject' || onDecodeError === 'deadLetter' || isFunction(onDecodeError))) {
+      throw new TypeError('Invalid "onDecodeError" option; expected "reject", "deadLetter" or function');
+    }
+    if (!(isString(deadLetterQueue) || isNull(deadLetterQueue))) {
+      throw new TypeError(`Invalid "deadLetterQueue" option; expected string, received ${typeOf(deadLetterQueue)}`);
+    }
+    if (onDecodeError === 'deadLetter' && isNull(deadLetterQueue)) {
+      throw new TypeError('Invalid "deadLetterQueue" option; must be specified when onDecodeError is "deadLetter"');
+    }
+    if (!(onValidationError === 'reject' || onValidationError === 'deadLetter' || isFunction(onValidationError))) {
+      throw new TypeError('Invalid "onValidationError" option; expected "reject", "deadLetter" or function');
+    }
+    if (onValidationError === 'deadLetter' && isNull(deadLetterQueue)) {
+      throw new TypeError('Invalid "deadLetterQueue" option; must be specified when onValidationError is "deadLetter"');
+    }
+    if (!(unhandled === 'ack' || unhandled === 'reject' || unhandled === 'deadLetter')) {
+      throw new TypeError('Invalid "unhandled" option; expected "ack", "reject" or "deadLetter"');
+    }
+    if (unhandled === 'deadLetter' && isNull(deadLetterQueue)) {
+      throw new TypeError('Invalid "deadLetterQueue" option; must be specified when unhandled is "deadLetter"');
+    }
+    if (!(isBoolean(dedupe) || (isObject(dedupe) && isFunction(dedupe.has) && isFunction(dedupe.add)))) {
+      throw new TypeError('Invalid "dedupe" option; expected boolean or object with has() and add() methods');
+    }
+    if (!isBoolean(outbox)) {
+      throw new TypeError(`Invalid "outbox" option; expected boolean, received ${typeOf(outbox)}`);
+    }
+    if (!(isPlainObject(retry) || isNull(retry))) {
+      throw new TypeError(`Invalid "retry" option; expected plain object, received ${typeOf(retry)}`);
+    }
+
+    if (!isBoolean(promise)) {
+      throw new TypeError(`Invalid "promise" option; expected boolean, received ${typeOf(promise)}`);
+    }
+    if (!(isNull(timeout) || (isInteger(timeout) && timeout > 0))) {
+      throw new TypeError('Invalid "timeout" option; expected positive integer');
+    }
+    if (!isInteger(prefetch) || prefetch < 1) {
+      throw new TypeError('Invalid "prefetch" option; expected positive integer');
+    }
+    if (!isInteger(concurrency) || concurrency < 1) {
+      throw new TypeError('Invalid "concurrency" option; expected positive integer');
+    }
+    if (!isBoolean(verifySignature)) {
+      throw new TypeError(`Invalid "verifySignature" option; expected boolean, received ${typeOf(verifySignature)}`);
+    }
+    if (verifySignature && this.signing === null) {
+      throw new TypeError('Invalid "verifySignature" option; requires signing to be specified');
+    }
+
+    let retryPolicy = null;
+    if (retry !== null) {
+      const {
+        maxAttempts = 3,
+        delays = [1000]
+      } = retry;
+
+      if (!isInteger(maxAttempts) || maxAttempts < 1) {
+        throw new TypeError('Invalid "retry.maxAttempts" option; expected positive integer');
+      }
+      if (!Array.isArray(delays) || delays.length === 0 || !delays.every((delay) => isInteger(delay) && delay >= 0)) {
+        throw new TypeError('Invalid "retry.delays" option; expected non-empty array of non-negative integers');
+      }
+
+      retryPolicy = { maxAttempts, delays };
+      deadLetterQueue = deadLetterQueue || `${queue}.dead`;
+    }
+
+    let router = null;
+    if (listener instanceof Router) {
+      router = listener;
+    } else if (isPlainObject(listener)) {
+      router = Router.from(listener);
+    }
+
+    if (!this.conn) {
+      throw new Error('Unable to subscribe to queue; did you forget to call #connect()');
+    }
+
+    // declare dead-letter / retry topology
+    if (deadLetterQueue !== null) {
+      await this.assertQueue(deadLetterQueue);
+    }
+    if (retryPolicy !== null) {
+      await Promise.each(uniq(retryPolicy.delays), (delay) => {
+        return this.assertQueue(getRetryQueue(queue, delay), {
+          messageTtl: delay,
+          deadLetterExchange: '', // i.e. default exchange
+          deadLetterRoutingKey: queue
+        });
+      });
+    }
+
+    // create unique consumer tag
+    const consumerTag = uuid.v4();
+    const consumer = {
+      queue,
+      listener: router === null ? listener : null,
+      router,
+      options: {
+        onDecodeError,
+        onValidationError,
+        deadLetterQueue,
+        retry: retryPolicy,
+        promise,
+        timeout,
+        prefetch,
+        concurrency,
+        verifySignature,
+        unhandled,
+        dedupe: dedupe === true ? new MemoryDedupeStore() : (dedupe || null),
+        outbox
+      },
+      conn: null,
+      channel: null,
+      active: 0, // number of messages currently being processed
+      backlog: [], // messages awaiting a free concurrency slot
+      onDrained: null // called once no message is being processed, while unsubscribing
+    };
+
+    try {
+      // subscribe to channel
+      await this.consume(consumerTag, consumer);
+
+      // return unsubscribe() method
+      return this.unsubscribe.bind(this, consumerTag);
+    } finally {
+      // add consumer to consumers registry
+      this.consumers.set(consumerTag, consumer);
+    }
+  }
+
+  /**
+   * Creates new router for the designated queue, dispatching messages to handlers by message type.
+   * @example
+   * bus.route('users')
+   *   .on('user.created', onCreated)
+   *   .on('user.*', onOther)
+   *   .subscribe({ unhandled: 'ack' });
+   * @param {string} queue
+   * @returns {Router}
+   */
+  route(queue) {
+    if (!isString(queue)) {
+      throw new TypeError(`Invalid queue; expected string, received ${typeOf(queue)}`);
+    }
+
+    return new Router(this, queue);
+  }
+
+  /**
+   * Subscribes to the partitions of the designated exchange, declaring them if necessary.
+   * Messages of each partition are processed serially, i.e. in order, while partitions are processed in parallel.
+   * To scale out, partitions are spread across workers, each subscribing to every partition whose number modulo
+   * the worker count equals its worker index.
+   * @param {string} exchange
+   * @param {number} partitions number of partitions
+   * @param {Function|Object|Router} listener as in #subscribe()
+   * @param {Object} [options] subscription options, as in #subscribe(); concurrency is fixed to 1
+   * @property {Object} [options.worker] worker spec; defaults to a single worker, subscribing to all partitions
+   * @property {number} [options.worker.index=0] zero-based index of this worker
+   * @property {number} [options.worker.count=1] number of workers
+   * @returns {Promise<Function>} resolving to a method unsubscribing from all partitions
+   */
+  async subscribePartitioned(exchange, partitions, listener, options = {}) {
+    if (!isPlainObject(options)) {
+      throw new TypeError(`Invalid options; expected plain object, received ${typeOf(options)}`);
+    }
+    if (has(options, 'concurrency') && options.concurrency !== 1) {
+      throw new TypeError('Invalid "concurrency" option; partitions are processed one message at a time');
+    }
+
+    const { worker = {} } = options;
+
+    if (!isPlainObject(worker)) {
+      throw new TypeError(`Invalid "worker" option; expected plain object, received ${typeOf(worker)}`);
+    }
+
+    const { index = 0, count = 1 } = worker;
+
+    if (!isInteger(count) || count < 1) {
+      throw new TypeError('Invalid "worker.count" option; expected positive integer');
+    }
+    if (!isInteger(index) || !inRange(index, 0, count)) {
+      throw new TypeError('Invalid "worker.index" option; expected integer between 0 and worker.count - 1');
+    }
+
+    const queues = await this.assertPartitions(exchange, partitions);
+    const subscriptionOptions = Object.assign(omit(options, 'worker'), { concurrency: 1 });
+    const unsubscribes = [];
+
+    try {
+      await Promise.each(queues.filter((queue, partition) => partition % count === index), async (queue) => {
+        unsubscribes.push(await this.subscribe(queue, listener, subscriptionOptions));
+      });
+    } catch (err) {
+      await Promise.all(unsubscribes.map((unsubscribe) => unsubscribe()));
+      throw err;
+    }
+
+    return () => Promise.all(unsubscribes.map((unsubscribe) => unsubscribe()));
+  }
+
+  /**
+   * Starts consuming messages on behalf of the designated consumer, on a dedicated channel.
+   * @param {string} consumerTag
+   * @param {Object} [consumer] consumer spec; defaults to the registered consumer
+   * @returns {Promise}
+   */
+  async consume(consumerTag, consumer = this.consumers.get(consumerTag)) {
+    const { queue, options } = consumer;
+    const { conn } = this;
+    const channel = await conn.createChannel();
+
+    channel.on('error', (err) => {
+      this.emit('channelError', err);
+    });
+
+    // messages delivered on a previous channel are redelivered anyway
+    consumer.backlog = [];
+
+    try {
+      await channel.prefetch(options.prefetch);
+      await channel.consume(queue, (msg) => {
+        // make sure consumer was not cancelled by the server, e.g. because queue was deleted
+        if (msg === null) {
+          this.consumers.delete(consumerTag);
+          this.emit('consumerCancelled', consumerTag, queue);
+          this.drain(consumer)
+            .then(() => channel.close())
+            .catch(() => {}); // channel is already closed
+          return; // exit
+        }
+
+        this.dispatch(channel, consumer, msg);
+      }, {
+        consumerTag,
+        noAck: false // explicitely ack messages when done
+      });
+    } catch (err) {
+      try {
+        await channel.close();
+      } catch (closeErr) {
+        // channel is already closed
+      }
+      throw err;
+    }
+
+    consumer.conn = conn;
+    consumer.channel = channel;
+  }
+
+  /**
+   * Hands the supplied message to the consumer, provided it has not reached its concurrency limit.
+   * Otherwise the message waits in the consumer's backlog, until a message in progress is settled.
+   * @param {Channel} channel
+   * @param {Object} consumer
+   * @param {Object} msg amqplib message
+   */
+  dispatch(channel, consumer, msg) {
+    if (consumer.active >= consumer.options.concurrency) {
+      consumer.backlog.push(() => this.dispatch(channel, consumer, msg));
+      return; // exit
+    }
+
+    consumer.active += 1;
+    this.handleMessage(channel, consumer, msg).then(() => {
+      consumer.active -= 1;
+      const next = consumer.backlog.shift();
+      if (next) {
+        next();
+      }
+      if (consumer.active === 0 && consumer.onDrained) {
+        consumer.onDrained();
+      }
+    });
+  }
+
+  /**
+   * Waits for the messages the supplied consumer is processing to be settled, up to the given timeout.
+   * Messages waiting in the consumer's backlog are dropped; they are redelivered once the channel closes.
+   * @param {Object} consumer
+   * @param {number} [timeout] in milliseconds
+   * @returns {Promise}
+   */
+  drain(consumer, timeout = DRAIN_TIMEOUT) {
+    consumer.backlog = [];
+
+    if (consumer.active === 0) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, timeout);
+      consumer.onDrained = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    }).finally(() => {
+      consumer.onDrained = null;
+    });
+  }
+
+  /**
+   * Verifies and decodes the supplied message and hands it to the consumer's listener, or the handler of its type when routing,
+   * through any inbound middleware.
+   * Messages that fail verification or decoding, or whose listener throws, are handled according to the onDecodeError policy;
+   * messages failing schema validation are handled according to the onValidationError policy;
+   * messages of a type without handler are handled according to the unhandled policy.
+   * @param {Channel} channel
+   * @param {Object} consumer
+   * @param {Object} msg amqplib message
+   * @returns {Promise} resolving once the message is settled
+   */
+  handleMessage(channel, consumer, msg) {
+    let payload;
+    try {
+      if (consumer.options.verifySignature) {
+        this.verifySignature(msg.content, msg.properties);
+      }
+      payload = this.decrypt(msg.content, msg.properties);
+    } catch (err) {
+      return this.handlePoisonMessage(channel, consumer, msg, err);
+    }
+
+    try {
+      this.validateMessage(payload, msg.properties);
+    } catch (err) {
+      return this.handlePoisonMessage(channel, consumer, msg, err, consumer.options.onValidationError);
+    }
+
+    const invoke = () => new Promise((resolve) => {
+      this.invokeListener(channel, consumer, msg, payload, resolve);
+    });
+
+    const key = getDedupeKey(consumer, msg);
+    if (key === null) {
+      return invoke();
+    }
+
+    return Promise.try(() => consumer.options.dedupe.has(key))
+      .catch((err) => {
+        // store is unavailable; process message anyway, i.e. favour duplicates over loss
+        this.emitError(err);
+        return false;
+      })
+      .then((isProcessed) => {
+        if (!isProcessed) {
+          return invoke();
+        }
+
+        this.settleMessage(channel, msg, 'ack');
+        this.emit('duplicate', msg);
+        return null;
+      });
+  }
+
+  /**
+   * Settles the supplied message, for whose type no handler is registered, according to the consumer's unhandled policy.
+   * @param {Channel} channel
+   * @param {Object} consumer
+   * @param {Object} msg amqplib message
+   * @returns {Promise}
+   */
+  handleUnhandledMessage(channel, consumer, msg) {
+    const { unhandled } = consumer.options;
+
+    if (unhandled === 'ack') {
+      this.settleMessage(channel, msg, 'ack');
+      return Promise.resolve();
+    }
+
+    const err = new Error(`No handler for message of type "${msg.properties.type}"`);
+    return this.handlePoisonMessage(channel, consumer, msg, err, unhandled);
+  }
+
+  /**
+   * Runs the inbound middleware and the consumer's listener, or the handler of the message type when routing,
+   * with the supplied decoded payload and settles the message according to the outcome.
+   * @param {Channel} channel
+   * @param {Object} consumer
+   * @param {Object} msg amqplib message
+   * @param {*} payload decoded message payload
+   * @param {Function} resolve called once the message is settled
+   */
+  invokeListener(channel, consumer, msg, payload, resolve) {
+    const { options } = consumer;
+    const ctx = {
+      direction: 'inbound',
+      queue: consumer.queue,
+      message: payload,
+      props: omitBy(msg.properties, isUndefined)
+    };
+    const outcome = {
+      isPoison: false, // i.e. listener threw synchronously
+      isUnhandled: false // i.e. no handler for message type
+    };
+    let isSettled = false;
+    let timer = null;
+
+    // settles message exactly once, i.e. subsequent calls are ignored
+    const settle = (err) => {
+      if (isSettled) {
+        return; // exit
+      }
+
+      isSettled = true;
+      clearTimeout(timer);
+
+      if (err) {
+        resolve(outcome.isPoison
+          ? this.handlePoisonMessage(channel, consumer, msg, err)
+          : this.handleFailedMessage(channel, consumer, msg, err));
+        return; // exit
+      }
+
+      if (outcome.isUnhandled) {
+        resolve(this.handleUnhandledMessage(channel, consumer, msg));
+        return; // exit
+      }
+
+      resolve(this.markProcessed(consumer, msg).then(() => this.settleMessage(channel, msg, 'ack')));
+    };
+
+    if (options.timeout !== null) {
+      timer = setTimeout(() => {
+        settle(new Error(`Message processing timed out after ${options.timeout} ms`));
+      }, options.timeout);
+    }
+
+    runMiddleware(this.middleware.inbound, ctx, () => {
+      const listener = consumer.router === null ? consumer.listener : consumer.router.resolve(ctx.props.type);
+      if (listener === null) {
+        outcome.isUnhandled = true;
+        return null;
+      }
+
+      if (!options.outbox) {
+        return this.callListener(listener, ctx.message, ctx.props, options.promise, outcome);
+      }
+
+      // send messages published via the outbox before acknowledging, or discard them if listener fails
+      const outbox = new Outbox(this);
+      return this.callListener(listener, ctx.message, ctx.props, options.promise, outcome, outbox)
+        .then(() => {
+          // message may have been settled meanwhile, e.g. timed out, thus follow-up messages must not be sent
+          if (isSettled) {
+            outbox.discard();
+            return null;
+          }
+          return outbox.flush();
+        }, (err) => {
+          outbox.discard();
+          throw err;
+        });
+    }).then(() => settle(), (err) => settle(err));
+  }
+
+  /**
+   * Records the supplied message as processed in the consumer's dedupe store, if any.
+   * Messages are recorded before being acknowledged, thus a crash in between cannot cause them to be processed twice.
+   * @param {Object} consumer
+   * @param {Object} msg amqplib message
+   * @returns {Promise}
+   */
+  markProcessed(consumer, msg) {
+    const key = getDedupeKey(consumer, msg);
+
+    if (key === null) {
+      return Promise.resolve();
+    }
+
+    return Promise.try(() => consumer.options.dedupe.add(key))
+      .catch((err) => this.emitError(err));
+  }
+
+  /**
+   * Calls the supplied listener with the given message.
+   * @param {Function} listener
+   * @param {*} payload decoded message payload
+   * @param {Object} props message properties
+   * @param {boolean} promise whether listener is an async function, instead of accepting a done callback
+   * @param {Object} outcome flagged as poison if the listener throws synchronously
+   * @param {Outbox} [outbox] supplied to the listener as its last argument, if specified
+   * @returns {Promise} resolving once the listener is done, or rejecting with the error it failed with
+   */
+  callListener(listener, payload, props, promise, outcome, outbox = null) {
+    const extra = outbox === null ? [] : [outbox];
+
+    if (promise) {
+      return Promise.try(() => listener(payload, props, ...extra))
+        .catch((err) => Promise.reject(err || new Error('Listener rejected')));
+    }
+
+    return new Promise((resolve, reject) => {
+      let isDone = false;
+      try {
+        listener(payload, props, (err) => {
+          if (isDone) {
+            this.emitError(new Error(`Unable to settle message ${props.messageId}; done() called more than once`));
+            return; // exit
+          }
+          isDone = true;
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        }, ...extra);
+      } catch (err) {
+        if (!isDone) {
+          isDone = true;
+          outcome.isPoison = true;
+          reject(err);
+        }
+      }
+    });
+  }
+
+  /**
+   * Settles the supplied poison message according to the designated policy,
+   * making sure it never blocks the channel.
+   * @param {Channel} channel
+   * @param {Object} consumer
+   * @param {Object} msg amqplib message
+   * @param {Error} err the reason message could not be processed
+   * @param {string|Function} [policy] defaults to the consumer's onDecodeError policy
+   * @returns {Promise}
+   */
+  async handlePoisonMessage(channel, consumer, msg, err, policy = consumer.options.onDecodeError) {
+    const { deadLetterQueue } = consumer.options;
+
+    if (policy !== 'deadLetter' && !isFunction(policy)) {
+      this.settleMessage(channel, msg, 'reject');
+      return; // exit
+    }
+
+    try {
+      if (policy === 'deadLetter') {
+        await this.deadLetter(deadLetterQueue, consumer.queue, msg, err);
+      } else {
+        await policy(err, msg);
+      }
+    } catch (ex) {
+      // dead-lettering or hook failed; reject without requeue to avoid blocking the channel
+      this.emitError(ex);
+      this.settleMessage(channel, msg, 'reject');
+      return; // exit
+    }
+
+    this.settleMessage(channel, msg, 'ack');
+  }
+
+  /**
+   * Settles the supplied failed message according to the consumer's retry policy.
+   * Without retry policy, the message is requeued immediately.
+   * Otherwise it is moved to a retry queue, where it waits for the designated delay before being redelivered,
+   * or to the dead-letter queue once max attempts are exhausted.
+   * @param {Channel} channel
+   * @param {Object} consumer
+   * @param {Object} msg amqplib message
+   * @param {Error} err the reason message processing failed
+   * @returns {Promise}
+   */
+  async handleFailedMessage(channel, consumer, msg, err) {
+    const { retry, deadLetterQueue } = consumer.options;
+
+    if (retry === null) {
+      this.settleMessage(channel, msg, 'requeue');
+      return; // exit
+    }
+
+    const { headers = {} } = msg.properties;
+    const attempt = Number(headers['x-attempt']) || 1;
+    const delay = retry.delays[Math.min(attempt, retry.delays.length) - 1];
+
+    try {
+      if (attempt < retry.maxAttempts) {
+        await this.republish(getRetryQueue(consumer.queue, delay), msg, {
+          'x-attempt': attempt + 1,
+          'x-error': err.message
+        });
+      } else {
+        await this.deadLetter(deadLetterQueue, consumer.queue, msg, err);
+      }
+    } catch (ex) {
+      this.emitError(ex);
+      // retry failed; fallback to requeue, after the retry delay, as immediate redelivery would likely fail again
+      await Promise.delay(delay);
+      this.settleMessage(channel, msg, 'requeue');
+      return; // exit
+    }
+
+    this.settleMessage(channel, msg, 'ack');
+  }
+
+  /**
+   * Acknowledges, requeues or rejects the supplied message on the given channel.
+   * Should the channel be closed, the error is emitted, as the message is redelivered anyway.
+   * @param {Channel} channel
+   * @param {Object} msg amqplib message
+   * @param {string} outcome either "ack", "requeue" or "reject", i.e. reject without requeue
+   */
+  settleMessage(channel, msg, outcome) {
+    try {
+      if (outcome === 'ack') {
+        channel.ack(msg);
+      } else {
+        channel.nack(msg, false, outcome === 'requeue');
+      }
+    } catch (err) {
+      // channel is closed; message will be redelivered
+      this.emitError(err);
+    }
+  }
+
+  /**
+   * Sends a copy of the supplied message to the designated dead-letter queue, as is,
+   * with headers describing the failure.
+   * @param {string} deadLetterQueue
+   * @param {string} queue the queue the message was consumed from
+   * @param {Object} msg amqplib message
+   * @param {Error} err the reason message is dead-lettered
+   * @returns {Promise}
+   */
+  deadLetter(deadLetterQueue, queue, msg, err) {
+    return this.republish(deadLetterQueue, msg, {
+      'x-error': err.message,
+      'x-original-queue': queue,
+      'x-failed-at': Date.now()
+    });
+  }
+
+  /**
+   * Sends a copy of the supplied message to the designated queue, as is, merging the given headers.
+   * @param {string} queue
+   * @param {Object} msg amqplib message
+   * @param {Object} headers
+   * @returns {Promise} resolving once the server confirms the message
+   */
+  async republish(queue, msg, headers) {
+    const properties = Object.assign(omitBy(msg.properties, isUndefined), {
+      expiration: undefined, // make sure message does not expire
+      headers: Object.assign({}, msg.properties.headers, headers)
+    });
+
+    await this.channelRecovery;
+    return new Promise((resolve, reject) => {
+      this.outgoingChannel.sendToQueue(queue, msg.content, properties, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Returns messages from the designated dead-letter queue, without removing them from the queue.
+   * @param {string} queue dead-letter queue
+   * @param {Object} [options]
+   * @property {number} [options.limit=10] max number of messages to return
+   * @returns {Promise<Array<Object>>} resolving to an array of { message, props, error } objects,
+   *   where props.headers contain the failure headers and error is set if the message cannot be decoded
+   */
+  async peekDeadLetters(queue, options = {}) {
+    if (!isString(queue)) {
+      throw new TypeError(`Invalid queue; expected string, received ${typeOf(queue)}`);
+    }
+    if (!isPlainObject(options)) {
+      throw new TypeError(`Invalid options; expected plain object, received ${typeOf(options)}`);
+    }
+
+    const { limit = 10 } = options;
+
+    if (!isInteger(limit) || limit < 1) {
+      throw new TypeError('Invalid "limit" option; expected positive integer');
+    }
+
+    // make sure connection is open
+    if (!this.conn) {
+      throw new Error('Unable to peek dead letters; did you forget to call #connect()');
+    }
+
+    // use dedicated channel; closing it returns any unacknowledged message to the queue
+    const channel = await this.conn.createChannel();
+
+    // get messages one at a time, until limit is reached or queue is empty
+    const peek = async (messages) => {
+      if (messages.length === limit) {
+        return messages;
+      }
+
+      const msg = await channel.get(queue, { noAck: false });
+      if (msg === false) {
+        return messages; // queue is empty
+      }
+
+      const props = omitBy(msg.properties, isUndefined);
+      try {
+        messages.push({ message: this.decrypt(msg.content, msg.properties), props, error: null });
+      } catch (err) {
+        messages.push({ message: undefined, props, error: err });
+      }
+
+      return peek(messages);
+    };
+
+    try {
+      return await peek([]);
+    } finally {
+      await channel.close();
+    }
+  }
+
+  /**
+   * Moves messages from the designated dead-letter queue back to the given target queue.
+   * Each message is sent via sendToQueue() and only removed from the dead-letter queue once the server confirms it.
+   * Messages that cannot be decoded are left in the dead-letter queue.
+   * @param {string} deadLetterQueue
+   * @param {string} targetQueue
+   * @param {Object} [options]
+   * @property {Function<Object, Object>} [options.filter] filter function, i.e. function(msg, props) {}, returning true to redrive the message
+   * @property {number} [options.limit=Infinity] max number of messages to redrive
+   * @returns {Promise<number>} resolving to the number of messages redriven
+   */
+  async redrive(deadLetterQueue, targetQueue, options = {}) {
+    if (!isString(deadLetterQueue)) {
+      throw new TypeError(`Invalid deadLetterQueue; expected string, received ${typeOf(deadLetterQueue)}`);
+    }
+    if (!isString(targetQueue)) {
+      throw new TypeError(`Invalid targetQueue; expected string, received ${typeOf(targetQueue)}`);
+    }
+    if (!isPlainObject(options)) {
+      throw new TypeError(`Invalid options; expected plain object, received ${typeOf(options)}`);
+    }
+
+    const {
+      filter = () => true,
+      limit = Infinity
+    } = options;
+
+    if (!isFunction(filter)) {
+      throw new TypeError(`Invalid "filter" option; expected function, received ${typeOf(filter)}`);
+    }
+    if (!(isInteger(limit) || limit === Infinity) || limit < 1) {
+      throw new TypeError('Invalid "limit" option; expected positive integer or Infinity');
+    }
+    if (targetQueue === deadLetterQueue && limit === Infinity) {
+      // redriven messages would be picked up again, thus looping forever
+      throw new TypeError('Invalid targetQueue; must differ from deadLetterQueue when "limit" is Infinity');
+    }
+
+    // make sure connection is open
+    if (!this.conn) {
+      throw new Error('Unable to redrive dead letters; did you forget to call #connect()');
+    }
+
+    // use dedicated channel; closing it returns any skipped message to the queue
+    const channel = await this.conn.createChannel();
+
+    // get messages one at a time, until limit is reached or queue is empty
+    const redriveNext = async (count) => {
+      if (count === limit) {
+        return count;
+      }
+
+      const msg = await channel.get(deadLetterQueue, { noAck: false });
+      if (msg === false) {
+        return count; // queue is empty
+      }
+
+      let message;
+      let isDecoded = true;
+      try {
+        message = this.decrypt(msg.content, msg.properties);
+      } catch (err) {
+        isDecoded = false; // undecodable messages are skipped
+      }
+
+      const props = omitBy(msg.properties, isUndefined);
+      if (!isDecoded || !filter(message, props)) {
+        return redriveNext(count);
+      }
+
+      // failure, encryption and signing headers are dropped, thus attempts start afresh; expiration is dropped as stale;
+      // content encoding is dropped, as message is compressed anew;
+      // mandatory makes sure the message stays in the dead-letter queue if the target queue does not exist
+      await this.sendToQueue(
+        targetQueue,
+        message,
+        Object.assign(omit(props, ['expiration', 'contentEncoding']), {
+          headers: omit(props.headers, REDRIVE_DROPPED_HEADERS),
+          mandatory: true
+        })
+      );
+      channel.ack(msg);
+      return redriveNext(count + 1);
+    };
+
+    try {
+      return await redriveNext(0);
+    } finally {
+      await channel.close();
+    }
+  }
+
+  /**
+   * Unsubscribes the designated consumer.
+   * @param {string} consumerTag
+   * @returns {Promise}
+   */
+  async unsubscribe(consumerTag) {
+    if (!isString(consumerTag)) {
+      throw new TypeError(`Invalid consumerTag; expected string, received ${typeOf(consumerTag)}`);
+    }
+    if (!this.consumers.has(consumerTag)) {
+      throw new Error(`Unknown consumer tag ${consumerTag}`);
+    }
+
+    // cancel consumer and close its channel, unless connection is currently down;
+    // messages in progress are settled first, as they cannot be acknowledged once the channel is closed
+    const consumer = this.consumers.get(consumerTag);
+    const { conn, channel } = consumer;
+    if (this.conn && conn === this.conn) {
+      await channel.cancel(consumerTag);
+      await this.drain(consumer);
+      await channel.close();
+    }
+
+    this.consumers.delete(consumerTag);
+  }
+
+  /**
+   * Unsubscribes any active consumer.
+   * @returns {Promise}
+   */
+  async unsubscribeAll() {
+    return await Promise.all(
+      Array.from(this.consumers.keys()).map((consumerTag) => {
+        return this.unsubscribe(consumerTag);
+      })
+    );
+  }
+
+  /**
+   * Publishes the supplied message to the given exchange.
+   * @param {string} exchange
+   * @param {string} routingKey
+   * @param {*} message can be any JSON serializable value, incl. Object and Array.
+   * @param {Object} [props] message properties; merged with the message bus defaults
+   * @property {number} [props.priority=1] message priority must be between 1 and 10.
+   * @property {string} [props.type]
+   * @property {string} [props.messageId=uuid.v4()]
+   * @property {number} [props.timestamp=Date.now()]
+   * @property {Object} [props.headers] custom message headers
+   * @property {string} [props.correlationId]
+   * @property {string} [props.replyTo]
+   * @property {number} [props.expiration] message TTL, in milliseconds
+   * @property {boolean} [props.persistent] whether message survives broker restarts
+   * @property {number} [props.deliveryMode] either 1 (non-persistent) or 2 (persistent); alternative to persistent
+   * @property {string} [props.contentType]
+   * @property {string} [props.contentEncoding]
+   * @property {string} [props.appId]
+   * @property {string} [props.userId]
+   * @property {boolean} [props.mandatory] whether message must be routed to at least one queue; defaults to the message bus setting
+   * @property {string} [props.partitionKey] key of the partition to route the message to, e.g. order ID, in place of routingKey;
+   *   requires exchange to be partitioned, see #assertPartitions()
+   * @property {number} [props.delay] time to hold the message back before delivery, in milliseconds
+   * @property {Date|number} [props.deliverAt] time to deliver the message at, as Date or timestamp; alternative to delay
+   * @returns {Promise} resolving once the message is confirmed by the server
+   */
+  async publish(exchange, routingKey, message, props = {}) {
+    if (!isString(exchange)) {
+      throw new TypeError(`Invalid exchange; expected string, received ${typeOf(exchange)}`);
+    }
+    if (!isString(routingKey)) {
+      throw new TypeError(`Invalid routingKey; expected string, received ${typeOf(routingKey)}`);
+    }
+    if (isUndefined(message)) {
+      throw new TypeError('Invalid message; must be specified');
+    }
+    if (!isPlainObject(props)) {
+      throw new TypeError(`Invalid props; expected plain object, received ${typeOf(props)}`);
+    }
+
+    const { partitionKey } = props;
+
+    if (!(isString(partitionKey) || isUndefined(partitionKey))) {
+      throw new TypeError(`Invalid "partitionKey" property; expected string, received ${typeOf(partitionKey)}`);
+    }
+
+    const delay = this.resolveDelay(props);
+    const properties = this.resolveProperties(props);
+
+    // make sure connection is open, unless messages are buffered while disconnected
+    if (!this.conn && this.offlineBuffer === null) {
+      throw new Error('Unable to publish to exchange; did you forget to call #connect()');
+    }
+
+    // route message to its partition, i.e. the partition queue bound by partition number
+    let partitionRoutingKey = routingKey;
+    if (!isUndefined(partitionKey)) {
+      if (!this.partitions.has(exchange)) {
+        throw new Error(`Unable to publish to exchange; "${exchange}" is not partitioned, did you forget to call #assertPartitions()`);
+      }
+      partitionRoutingKey = String(getPartition(partitionKey, this.partitions.get(exchange)));
+    }
+
+    const ctx = {
+      direction: 'outbound',
+      exchange,
+      routingKey: partitionRoutingKey,
+      message,
+      props: properties
+    };
+
+    await runMiddleware(this.middleware.outbound, ctx, () => {
+      const { content, props: options } = this.encrypt(ctx.message, validateProperties(ctx.props));
+      return this.send(ctx.exchange, ctx.routingKey, content, options, delay);
+    });
+  }
+
+  /**
+   * Sends the supplied message to the given queue.
+   * @param {string} queue
+   * @param {*} message can be any JSON serializable value, incl. Object and Array.
+   * @param {Object} [props] message properties, as in #publish(), incl. delay and deliverAt
+   * @returns {Promise} resolving once the message is confirmed by the server
+   */
+  async sendToQueue(queue, message, props = {}) {
+    if (!isString(queue)) {
+      throw new TypeError(`Invalid queue; expected string, received ${typeOf(queue)}`);
+    }
+    if (isUndefined(message)) {
+      throw new TypeError('Invalid message; must be specified');
+    }
+    if (!isPlainObject(props)) {
+      throw new TypeError(`Invalid props; expected plain object, received ${typeOf(props)}`);
+    }
+
+    const delay = this.resolveDelay(props);
+    const properties = this.resolveProperties(props);
+
+    // make sure connection is open, unless messages are buffered while disconnected
+    if (!this.conn && this.offlineBuffer === null) {
+      throw new Error('Unable to send to queue; did you forget to call #connect()');
+    }
+
+    const ctx = {
+      direction: 'outbound',
+      exchange: '', // i.e. default exchange
+      routingKey: queue,
+      message,
+      props: properties
+    };
+
+    await runMiddleware(this.middleware.outbound, ctx, () => {
+      const { content, props: options } = this.encrypt(ctx.message, validateProperties(ctx.props));
+      return this.send(ctx.exchange, ctx.routingKey, content, options, delay);
+    });
+  }
+
+  /**
+   * Returns the time to hold back the message of the supplied properties, as specified by delay or deliverAt.
+   * With delay queues, delays until deliverAt are rounded up to the second, to limit the number of delay queues.
+   * @param {Object} props message properties
+   * @returns {number} delay in milliseconds; 0 if the message is to be delivered immediately
+   * @throws {TypeError} if delay or deliverAt is invalid
+   */
+  resolveDelay(props) {
+    const { delay, deliverAt } = props;
+
+    if (!((isInteger(delay) && delay >= 0) || isUndefined(delay))) {
+      throw new TypeError('Invalid "delay" property; expected non-negative integer');
+    }
+    if (!(isDate(deliverAt) || isInteger(deliverAt) || isUndefined(deliverAt))) {
+      throw new TypeError(`Invalid "deliverAt" property; expected Date or integer timestamp, received ${typeOf(deliverAt)}`);
+    }
+    if (!isUndefined(delay) && !isUndefined(deliverAt)) {
+      throw new TypeError('Invalid "deliverAt" property; cannot be combined with delay');
+    }
 
-    // create for incoming / outgoing messages
-    this.incomingChannel = await this.conn.createChannel();
-    this.outgoingChannel = await this.conn.createConfirmChannel();
+    if (isUndefined(deliverAt)) {
+      return delay || 0;
+    }
 
-    await this.incomingChannel.prefetch(1);
+    const remaining = Math.max(Number(deliverAt) - Date.now(), 0);
+    return this.delayedDelivery === 'queue' ? Math.ceil(remaining / 1000) * 1000 : remaining;
   }
 
   /**
-   * Disconnects from AMQP server.
-   * @returns {Promise}
+   * Merges the supplied message properties with the message bus defaults and validates the outcome.
+   * Headers are merged, rather than replaced.
+   * @param {Object} props message properties
+   * @returns {Object}
    */
-  async disconnect() {
-    // make sure not disconnected
-    if (!this.conn) {
-      return; // exit
-    }
-
-    // unsubscribe any active consumer(s)
-    await this.unsubscribeAll();
+  resolveProperties(props) {
+    const defaults = this.messageDefaults;
+    const specified = omitBy(props, isUndefined);
+    const properties = Object.assign({
+      messageId: uuid.v4(),
+      timestamp: Date.now(),
+      priority: 1,
+      mandatory: this.mandatory
+    }, defaults, specified);
 
-    // close connection
-    this.conn.removeAllListeners();
-    await this.conn.close();
+    if (isPlainObject(defaults.headers) && isPlainObject(specified.headers)) {
+      properties.headers = Object.assign({}, defaults.headers, specified.headers);
+    }
+    // amqplib favours persistent over deliveryMode
+    if (has(specified, 'deliveryMode') && !has(specified, 'persistent')) {
+      delete properties.persistent;
+    }
 
-    // reset local state
-    this.conn = null;
-    this.incomingChannel = null;
-    this.outgoingChannel = null;
+    return validateProperties(properties);
   }
 
   /**
-   * Reconnects to AMQP server.
-   * @returns {Promise}
+   * Sends the supplied encoded message on the outgoing channel and waits for the server to confirm it.
+   * While disconnected, or while previously buffered messages are pending, the message is added to the offline buffer.
+   * @param {string} exchange
+   * @param {string} routingKey
+   * @param {Buffer} content
+   * @param {Object} options message properties
+   * @param {number} [delay=0] time to hold the message back before delivery, in milliseconds
+   * @returns {Promise} resolving once the message is confirmed by the server
    */
-  async reconnect() {
-    this.conn.removeAllListeners();
-    this.conn = null; // you need this otherwise connect() will exit prematurily
+  send(exchange, routingKey, content, options, delay = 0) {
+    const buffer = this.offlineBuffer;
 
-    while (true) {
-      await Promise.delay(1000);
-      try {
-        await this.connect();
-        break; // exit loop
-      } catch (err) {
-        // do nothing
-      }
+    // buffered messages go first, to preserve order
+    if (buffer !== null && (!this.conn || buffer.size !== 0)) {
+      const promise = buffer.push({
+        exchange,
+        routingKey,
+        content,
+        options,
+        delay
+      });
+      this.flushOfflineBuffer();
+      return promise;
+    }
+
+    // wait for channels closed by the server to be reopened, if any
+    if (this.channelRecovery) {
+      return this.channelRecovery.then(() => this.send(exchange, routingKey, content, options, delay));
     }
+
+    return this.publishMessage(this.outgoingChannel, exchange, routingKey, content, options, delay);
   }
 
   /**
-   * Encrypts the supplied payload and returns a new buffer.
-   * @param {string} encryptionKey
-   * @returns {Buffer}
+   * Publishes the supplied encoded message on the given channel and waits for the server to confirm it.
+   * Delayed messages are published via the delay topology, declared on demand.
+   * @param {ConfirmChannel} channel
+   * @param {string} exchange
+   * @param {string} routingKey
+   * @param {Buffer} content
+   * @param {Object} options message properties
+   * @param {number} delay in milliseconds; 0 if the message is to be delivered immediately
+   * @returns {Promise} resolving once the message is confirmed by the server
    */
-  encrypt(payload) {
-    if (this.encryptionKey == null) {
-      return Buffer.from(JSON.stringify(payload), 'utf8');
+  async publishMessage(channel, exchange, routingKey, content, options, delay) {
+    let target = { exchange, routingKey, options };
+    if (delay !== 0) {
+      target = await this.prepareDelay(exchange, routingKey, options, delay);
     }
 
-    const cipher = crypto.createCipher('aes128', this.encryptionKey);
-    const buf1 = cipher.update(JSON.stringify(payload), 'utf8');
-    const buf2 = cipher.final();
-    return Buffer.concat([buf1, buf2], buf1.length + buf2.length);
+    return this.confirm(options.messageId, target.options.mandatory, (callback) => {
+      channel.publish(target.exchange, target.routingKey, content, target.options, callback);
+    });
   }
 
   /**
-   * Decrypts the supplied buffer and returns its payload.
-   * @param {Buffer} buf
-   * @param {string} encryptionKey
-   * @returns {Object}
+   * Declares the topology holding back messages for the designated target and delay, as necessary,
+   * and returns where to publish the delayed message to.
+   * With delay queues, the message waits in a queue per target and delay, from which it is dead-lettered to the target;
+   * delay queues expire once idle, thus are redeclared on every use and not restored on reconnection.
+   * Otherwise the message is held back by a delayed message exchange per target, which requires the delayed message exchange plugin.
+   * @param {string} exchange
+   * @param {string} routingKey
+   * @param {Object} options message properties
+   * @param {number} delay in milliseconds
+   * @returns {Promise<Object>} i.e. { exchange, routingKey, options }
    */
-  decrypt(buf) {
-    if (this.encryptionKey == null) {
-      return JSON.parse(buf.toString('utf8'));
+  async prepareDelay(exchange, routingKey, options, delay) {
+    if (this.delayedDelivery === 'exchange') {
+      const delayedExchange = getDelayedExchange(exchange, routingKey);
+
+      if (!this.topology.exchanges.has(delayedExchange)) {
+        await this.assertExchange(delayedExchange, 'x-delayed-message', {
+          arguments: { 'x-delayed-type': 'fanout' }
+        });
+        if (exchange === '') {
+          await this.bindQueue(routingKey, delayedExchange, '');
+        } else {
+          await this.bindExchange(exchange, delayedExchange, '');
+        }
+      }
+
+      return {
+        exchange: delayedExchange,
+        routingKey,
+        options: Object.assign({}, options, {
+          headers: Object.assign({}, options.headers, { 'x-delay': delay }),
+          mandatory: false // delayed messages are not routed until delivered, thus would always be returned
+        })
+      };
     }
 
-    const decipher = crypto.createDecipher('aes128', this.encryptionKey);
-    const str = [
-      decipher.update(buf, 'utf8'),
-      decipher.final('utf8')
-    ].join('');
+    await this.channelRecovery;
+    const delayQueue = getDelayQueue(exchange, routingKey, delay);
+    const queueOptions = {
+      messageTtl: delay,
+      expires: delay + DELAY_QUEUE_GRACE_PERIOD // i.e. kept until messages declared along are delivered
+    };
+    // expiration is dropped, as the lower of expiration and queue TTL applies, thus it would cut the delay short
+    const delayedOptions = omit(options, ['expiration']);
+
+    if (exchange === '') {
+      await this.incomingChannel.assertQueue(delayQueue, Object.assign(queueOptions, {
+        deadLetterExchange: '', // i.e. default exchange
+        deadLetterRoutingKey: routingKey
+      }));
+      return { exchange: '', routingKey: delayQueue, options: delayedOptions };
+    }
 
-    return JSON.parse(str);
+    // route via fanout exchange, thus the message keeps its routing key when dead-lettered to the target exchange
+    await this.incomingChannel.assertExchange(delayQueue, 'fanout', { autoDelete: true });
+    await this.incomingChannel.assertQueue(delayQueue, Object.assign(queueOptions, { deadLetterExchange: exchange }));
+    await this.incomingChannel.bindQueue(delayQueue, delayQueue, '');
+    return { exchange: delayQueue, routingKey, options: delayedOptions };
   }
 
   /**
-   * Subscribes to the designated queue for messages.
-   * @param {string} queue
-   * @param {Function<Object, Object, Function>} listener i.e. function(msg, props, done) {}
-   * @returns {Promise<Function>} resolving to an unsubscribe method
+   * Sends the messages of the offline buffer in order, one at a time, waiting for the server to confirm each.
+   * Stops if connection is lost; remaining messages are sent after reconnection.
+   * @returns {Promise}
    */
-  async subscribe(queue, listener) {
-    if (!isString(queue)) {
-      throw new TypeError(`Invalid queue; expected string, received ${typeOf(queue)}`);
-    }
-    if (!isFunction(listener)) {
-      throw new TypeError(`Invalid listener; expected function, received ${typeOf(listener)}`);
-    }
+  async flushOfflineBuffer() {
+    const buffer = this.offlineBuffer;
 
-    if (!this.conn) {
-      throw new Error('Unable to subscribe to queue; did you forget to call #connect()');
-    }
-
-    if (this.consumerTag) {
-      throw new Error('Subscription already active; cannot open multiple subscriptions to the same message bus');
+    if (buffer === null || this.isFlushing) {
+      return; // exit
     }
 
-    // create unique consumer tag
-    const consumerTag = uuid.v4();
+    this.isFlushing = true;
 
     try {
-      // subscribe to channel
-      await this.incomingChannel.consume(queue, (msg) => {
-        listener(
-          this.decrypt(msg.content),
-          omitBy(msg.properties, isUndefined),
-          (err) => this.incomingChannel[err ? 'nack' : 'ack'](msg)
-        );
-      }, {
-        consumerTag,
-        noAck: false // explicitely ack messages when done
-      });
-
-      // return unsubscribe() method
-      return this.unsubscribe.bind(this, consumerTag);
+      await this.flushBufferedMessages(buffer);
+    } catch (err) {
+      // e.g. unable to write to buffer file
+      this.emitError(err);
     } finally {
-      // add consumerTag to consumers registry
-      this.consumers.set(consumerTag, queue);
+      this.isFlushing = false;
     }
   }
 
   /**
-   * Unsubscribes the designated consumer.
-   * @param {string} consumerTag
+   * Sends the next message of the supplied offline buffer, followed by the rest, as long as the connection is open.
+   * Messages are kept in the buffer if the channel closes underneath them,
+   * unless the channel is closed by the server on account of the message itself, e.g. because the exchange does not exist.
+   * @param {OfflineBuffer} buffer
    * @returns {Promise}
    */
-  async unsubscribe(consumerTag) {
-    if (!isString(consumerTag)) {
-      throw new TypeError(`Invalid consumerTag; expected string, received ${typeOf(consumerTag)}`);
+  async flushBufferedMessages(buffer) {
+    const entry = buffer.peek();
+
+    if (entry === null || !this.conn) {
+      return; // exit; resume after reconnection
     }
-    if (!this.consumers.has(consumerTag)) {
-      throw new Error(`Unknown consumer tag ${consumerTag}`);
+
+    // wait for channels closed by the server to be reopened, if any
+    await this.channelRecovery;
+
+    const channel = this.outgoingChannel;
+    const {
+      exchange,
+      routingKey,
+      content,
+      options,
+      delay
+    } = entry;
+    let channelError = null;
+    let isClosed = false;
+
+    buffer.lock(entry);
+
+    try {
+      // unconfirmed messages are never confirmed once the channel closes
+      await new Promise((resolve, reject) => {
+        const onError = (err) => {
+          channelError = err;
+        };
+        const onClose = () => {
+          isClosed = true;
+          reject(channelError || new Error('Channel closed'));
+        };
+
+        channel.once('error', onError);
+        channel.once('close', onClose);
+        this.publishMessage(channel, exchange, routingKey, content, options, delay)
+          .then(resolve, reject)
+          .finally(() => {
+            channel.removeListener('error', onError);
+            channel.removeListener('close', onClose);
+          });
+      });
+      buffer.remove(entry);
+    } catch (err) {
+      if (!this.conn || (isClosed && channelError === null)) {
+        buffer.release(entry);
+        return; // exit; resume after reconnection
+      }
+
+      if (!isClosed && (this.channelRecovery || channel !== this.outgoingChannel)) {
+        buffer.release(entry); // i.e. channel was closed before the message was sent; resend once reopened
+      } else {
+        buffer.remove(entry, err);
+      }
     }
 
-    await this.incomingChannel.cancel(consumerTag);
-    this.consumers.delete(consumerTag);
+    await this.flushBufferedMessages(buffer);
   }
 
   /**
-   * Unsubscribes any active consumer.
+   * Sends a message on the outgoing channel and waits for the server to confirm it.
+   * Rejects if the server nacks the message or, if mandatory, returns it as unroutable.
+   * @param {string} messageId
+   * @param {boolean} mandatory
+   * @param {Function<Function>} send function(callback) sending the message with the supplied confirm callback
    * @returns {Promise}
    */
-  async unsubscribeAll() {
-    return await Promise.all(
-      Array.from(this.consumers.keys()).map((consumerTag) => {
-        return this.unsubscribe(consumerTag);
-      })
-    );
+  confirm(messageId, mandatory, send) {
+    return new Promise((resolve, reject) => {
+      if (mandatory) {
+        const rejects = this.pendingReturns.get(messageId) || [];
+        rejects.push(reject);
+        this.pendingReturns.set(messageId, rejects);
+      }
+
+      const settle = (err) => {
+        // returned messages are confirmed after being returned, i.e. rejection takes precedence
+        const rejects = this.pendingReturns.get(messageId) || [];
+        const index = rejects.indexOf(reject);
+        if (index !== -1) {
+          rejects.splice(index, 1);
+          if (rejects.length === 0) {
+            this.pendingReturns.delete(messageId);
+          }
+        }
+
+        if (err) {
+          reject(new Error(`Unable to publish message ${messageId}; ${err.message}`));
+        } else {
+          resolve();
+        }
+      };
+
+      try {
+        send(settle);
+      } catch (err) {
+        // channel is closed
+        settle(err);
+      }
+    });
   }
 
   /**
-   * Publishes the supplied message to the given exchange.
-   * @param {string} exchange
+   * Sends the supplied request message to the given queue and waits for the reply.
+   * Replies are received via direct reply-to and matched to requests by correlation ID.
+   * @param {string} queue
    * @param {*} message can be any JSON serializable value, incl. Object and Array.
-   * @param {Object} [props]
-   * @property {number} [props.priority=1] message priority must be between 1 and 10.
-   * @property {string} [props.type]
-   * @property {string} [props.messageId=uuid.v4()]
-   * @property {number} [props.timestamp=Date.now()]
-   * @returns {Promise<boolean>}
+   * @param {Object} [props] message properties, as in #publish(), except correlationId, replyTo and mandatory
+   * @property {number} [props.timeout=30000] max time to wait for the reply, in milliseconds
+   * @returns {Promise<*>} resolving to the reply or rejecting with the error thrown by the responder
    */
-  async publish(exchange, routingKey, message, props = {}) {
-    if (!isString(exchange)) {
-      throw new TypeError(`Invalid exchange; expected string, received ${typeOf(exchange)}`);
-    }
-    if (!isString(routingKey)) {
-      throw new TypeError(`Invalid routingKey; expected string, received ${typeOf(routingKey)}`);
+  async request(queue, message, props = {}) {
+    if (!isString(queue)) {
+      throw new TypeError(`Invalid queue; expected string, received ${typeOf(queue)}`);
     }
     if (isUndefined(message)) {
       throw new TypeError('Invalid message; must be specified');
@@ -249,113 +2526,211 @@ class MessageBus {
       throw new TypeError(`Invalid props; expected plain object, received ${typeOf(props)}`);
     }
 
-    const {
-      type,
-      priority = 1,
-      messageId = uuid.v4(),
-      timestamp = Date.now()
-    } = props;
+    const { timeout = 30000 } = props;
 
-    if (!isInteger(priority)) {
-      throw new TypeError(`Invalid "priority" property; expected integer, received ${typeOf(priority)}`);
-    }
-    if (!inRange(priority, 1, 11)) {
-      throw new TypeError('Invalid "priority" property; must be between 1 and 10');
-    }
-    if (!isString(messageId)) {
-      throw new TypeError(`Invalid "messageId" property; expected string, received ${typeOf(messageId)}`);
-    }
-    if (!(isString(type) || isUndefined(type))) {
-      throw new TypeError(`Invalid "type" property; expected string, received ${typeOf(type)}`);
-    }
-    if (!isInteger(timestamp)) {
-      throw new TypeError(`Invalid "timestamp" property; expected integer, received ${typeOf(timestamp)}`);
+    if (!isInteger(timeout) || timeout < 1) {
+      throw new TypeError('Invalid "timeout" property; expected positive integer');
     }
 
+    const correlationId = uuid.v4();
+    const properties = omit(this.resolveProperties(Object.assign(omit(props, ['timeout']), {
+      correlationId,
+      replyTo: DIRECT_REPLY_QUEUE
+    })), ['mandatory']); // replies are not confirmed, thus returned requests would go unnoticed
+
     // make sure connection is open
     if (!this.conn) {
-      throw new Error('Unable to publish to exchange; did you forget to call #connect()');
+      throw new Error('Unable to send request; did you forget to call #connect()');
     }
 
-    return new Promise((resolve) => {
-      this.outgoingChannel.publish(
-        exchange,
-        routingKey,
-        this.encrypt(message),
-        {
-          messageId,
-          type,
-          priority,
-          timestamp
-        },
-        () => resolve()
-      );
+    const channel = await this.getReplyChannel();
+    const { content, props: options } = this.encrypt(message, properties);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(correlationId);
+        reject(new Error(`Request timed out after ${timeout} ms`));
+      }, timeout);
+
+      this.pendingRequests.set(correlationId, { resolve, reject, timer });
+
+      // direct reply-to requires publishing on the channel consuming replies
+      try {
+        channel.sendToQueue(queue, content, options);
+      } catch (err) {
+        clearTimeout(timer);
+        this.pendingRequests.delete(correlationId);
+        reject(err);
+      }
     });
   }
 
   /**
-   * Sends the supplied message to the given queue.
+   * Subscribes to the designated queue for requests, replying with the handler's outcome.
    * @param {string} queue
-   * @param {*} message can be any JSON serializable value, incl. Object and Array.
-   * @param {Object} [props]
-   * @property {number} [props.priority=1] message priority must be between 1 and 10.
-   * @property {string} [props.type]
-   * @property {string} [props.messageId=uuid.v4()]
-   * @property {number} [props.timestamp=Date.now()]
-   * @returns {Promise<boolean>}
+   * @param {Function<Object, Object>} handler async function(msg, props) {}, whose return value is sent back as the reply;
+   *   errors thrown are sent back as serialized errors
+   * @param {Object} [options] subscription options, as in #subscribe(); "promise" and "outbox" do not apply,
+   *   as requests are settled once replied to
+   * @returns {Promise<Function>} resolving to an unsubscribe method
    */
-  async sendToQueue(queue, message, props = {}) {
-    if (!isString(queue)) {
-      throw new TypeError(`Invalid queue; expected string, received ${typeOf(queue)}`);
-    }
-    if (isUndefined(message)) {
-      throw new TypeError('Invalid message; must be specified');
+  async respond(queue, handler, options = {}) {
+    if (!isFunction(handler)) {
+      throw new TypeError(`Invalid handler; expected function, received ${typeOf(handler)}`);
     }
-    if (!isPlainObject(props)) {
-      throw new TypeError(`Invalid props; expected plain object, received ${typeOf(props)}`);
+
+    return this.subscribe(queue, (msg, props, done) => {
+      Promise.try(() => handler(msg, props))
+        .then(
+          (result) => this.reply(props, isUndefined(result) ? null : result, 'ok'),
+          (err) => this.reply(props, serializeError(err), 'error')
+        )
+        .then(() => done(), done);
+    }, omit(options, ['promise', 'outbox']));
+  }
+
+  /**
+   * Sends the supplied reply to the requester designated by the given request props.
+   * @param {Object} requestProps request message properties
+   * @param {*} payload
+   * @param {string} status i.e. "ok" or "error"
+   * @returns {Promise} resolving once the server confirms the reply
+   */
+  async reply(requestProps, payload, status) {
+    const { replyTo, correlationId } = requestProps;
+
+    // make sure requester expects a reply
+    if (!isString(replyTo)) {
+      return; // exit
     }
 
-    const {
-      type,
-      priority = 1,
-      messageId = uuid.v4(),
-      timestamp = Date.now()
-    } = props;
+    const { content, props: properties } = this.encrypt(payload, {
+      messageId: uuid.v4(),
+      timestamp: Date.now(),
+      correlationId,
+      headers: { 'x-rpc-status': status }
+    });
+
+    await this.channelRecovery;
+    await new Promise((resolve, reject) => {
+      this.outgoingChannel.sendToQueue(replyTo, content, properties, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
 
-    if (!isInteger(priority)) {
-      throw new TypeError(`Invalid "priority" property; expected integer, received ${typeOf(priority)}`);
+  /**
+   * Returns the channel used to send requests and receive replies, creating it if necessary.
+   * @returns {Promise<Channel>}
+   */
+  getReplyChannel() {
+    if (!this.replyChannel) {
+      this.replyChannel = this.conn.createChannel()
+        .then(async (channel) => {
+          channel.on('error', (err) => {
+            this.emit('channelError', err);
+          });
+          await channel.consume(DIRECT_REPLY_QUEUE, (msg) => this.handleReply(msg), { noAck: true });
+          return channel;
+        })
+        .catch((err) => {
+          this.replyChannel = null;
+          throw err;
+        });
     }
-    if (!inRange(priority, 1, 11)) {
-      throw new TypeError('Invalid "priority" property; must be between 1 and 10');
+
+    return this.replyChannel;
+  }
+
+  /**
+   * Settles the pending request matching the supplied reply message.
+   * @param {Object} msg amqplib message
+   */
+  handleReply(msg) {
+    if (msg === null) {
+      return; // exit
     }
-    if (!isString(messageId)) {
-      throw new TypeError(`Invalid "messageId" property; expected string, received ${typeOf(messageId)}`);
+
+    const { correlationId, headers = {} } = msg.properties;
+    const pending = this.pendingRequests.get(correlationId);
+
+    // make sure request is still pending, i.e. not timed out
+    if (!pending) {
+      return; // exit
     }
-    if (!(isString(type) || isUndefined(type))) {
-      throw new TypeError(`Invalid "type" property; expected string, received ${typeOf(type)}`);
+
+    this.pendingRequests.delete(correlationId);
+    clearTimeout(pending.timer);
+
+    try {
+      const payload = this.decrypt(msg.content, msg.properties);
+      if (headers['x-rpc-status'] === 'error') {
+        pending.reject(deserializeError(payload));
+      } else {
+        pending.resolve(payload);
+      }
+    } catch (err) {
+      pending.reject(err);
     }
-    if (!isInteger(timestamp)) {
-      throw new TypeError(`Invalid "timestamp" property; expected integer, received ${typeOf(timestamp)}`);
+  }
+
+  /**
+   * Returns the messages published so far, decoded, in order of publication.
+   * Requires the in-memory transport; meant for unit tests.
+   * @returns {Array<Object>} i.e. [{ exchange, routingKey, message, props }]
+   */
+  getPublishedMessages() {
+    if (this.broker === null) {
+      throw new Error('Unable to get published messages; requires in-memory transport, i.e. "memory://" url');
     }
 
-    // make sure connection is open
-    if (!this.conn) {
-      throw new Error('Unable to send to queue; did you forget to call #connect()');
+    return this.broker.published.map(({
+      exchange,
+      routingKey,
+      content,
+      properties
+    }) => ({
+      exchange,
+      routingKey,
+      message: this.decrypt(content, properties),
+      props: omitBy(properties, isUndefined)
+    }));
+  }
+
+  /**
+   * Removes and returns the ready messages of the designated queue, decoded, synchronously.
+   * Requires the in-memory transport; meant for unit tests.
+   * @param {string} queue
+   * @returns {Array<Object>} i.e. [{ message, props }]
+   */
+  drainQueue(queue) {
+    if (!isString(queue)) {
+      throw new TypeError(`Invalid queue; expected string, received ${typeOf(queue)}`);
+    }
+    if (this.broker === null) {
+      throw new Error('Unable to drain queue; requires in-memory transport, i.e. "memory://" url');
     }
 
-    return new Promise((resolve) => {
-      this.outgoingChannel.sendToQueue(
-        queue,
-        this.encrypt(message),
-        {
-          messageId,
-          type,
-          priority,
-          timestamp
-        },
-        () => resolve()
-      );
+    return this.broker.drain(queue).map(({ content, properties }) => ({
+      message: this.decrypt(content, properties),
+      props: omitBy(properties, isUndefined)
+    }));
+  }
+
+  /**
+   * Rejects all pending requests with the supplied error.
+   * @param {Error} err
+   */
+  rejectPendingRequests(err) {
+    this.pendingRequests.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(err);
     });
+    this.pendingRequests.clear();
   }
 
   async assertExchange(exchange, type, options = {}) {
@@ -374,7 +2749,10 @@ class MessageBus {
       throw new Error('Unable to assert exchange; did you forget to call #connect()');
     }
 
-    return this.incomingChannel.assertExchange(exchange, type, options);
+    await this.channelRecovery;
+    const result = await this.incomingChannel.assertExchange(exchange, type, options);
+    this.topology.exchanges.set(exchange, { type, options });
+    return result;
   }
 
   async deleteExchange(exchange, options = {}) {
@@ -390,7 +2768,17 @@ class MessageBus {
       throw new Error('Unable to delete exchange; did you forget to call #connect()');
     }
 
-    return this.incomingChannel.deleteExchange(exchange, options);
+    await this.channelRecovery;
+    const result = await this.incomingChannel.deleteExchange(exchange, options);
+    this.topology.exchanges.delete(exchange);
+    this.partitions.delete(exchange);
+    Array.from(this.topology.bindings)
+      .filter(([, [, source]]) => source === exchange)
+      .forEach(([key]) => this.topology.bindings.delete(key));
+    Array.from(this.topology.exchangeBindings)
+      .filter(([, [destination, source]]) => destination === exchange || source === exchange)
+      .forEach(([key]) => this.topology.exchangeBindings.delete(key));
+    return result;
   }
 
   async assertQueue(queue, options = {}) {
@@ -406,7 +2794,13 @@ class MessageBus {
       throw new Error('Unable to assert queue; did you forget to call #connect()');
     }
 
-    return this.incomingChannel.assertQueue(queue, options);
+    await this.channelRecovery;
+    const result = await this.incomingChannel.assertQueue(queue, options);
+    // server-named queues cannot be redeclared by name, thus are not recorded
+    if (queue !== '') {
+      this.topology.queues.set(queue, options);
+    }
+    return result;
   }
 
   async deleteQueue(queue, options = {}) {
@@ -425,11 +2819,17 @@ class MessageBus {
     // unsubscribe any queue consumer
     await Promise.all(
       Array.from(this.consumers)
-        .filter(([key, value]) => value === queue)
+        .filter(([key, value]) => value.queue === queue)
         .map(([key]) => this.unsubscribe(key))
     );
 
-    return this.incomingChannel.deleteQueue(queue, options);
+    await this.channelRecovery;
+    const result = await this.incomingChannel.deleteQueue(queue, options);
+    this.topology.queues.delete(queue);
+    Array.from(this.topology.bindings)
+      .filter(([, [boundQueue]]) => boundQueue === queue)
+      .forEach(([key]) => this.topology.bindings.delete(key));
+    return result;
   }
 
   async bindQueue(queue, source, pattern) {
@@ -448,7 +2848,13 @@ class MessageBus {
       throw new Error('Unable to assert queue; did you forget to call #connect()');
     }
 
-    return this.incomingChannel.bindQueue(queue, source, pattern);
+    await this.channelRecovery;
+    const result = await this.incomingChannel.bindQueue(queue, source, pattern);
+    // bindings of server-named queues are lost along with the queue, thus are not recorded
+    if (!queue.startsWith(SERVER_NAMED_QUEUE_PREFIX)) {
+      this.topology.bindings.set(JSON.stringify([queue, source, pattern]), [queue, source, pattern]);
+    }
+    return result;
   }
 
   async unbindQueue(queue, source, pattern) {
@@ -467,7 +2873,95 @@ class MessageBus {
       throw new Error('Unable to assert queue; did you forget to call #connect()');
     }
 
-    return this.incomingChannel.unbindQueue(queue, source, pattern);
+    await this.channelRecovery;
+    const result = await this.incomingChannel.unbindQueue(queue, source, pattern);
+    this.topology.bindings.delete(JSON.stringify([queue, source, pattern]));
+    return result;
+  }
+
+  async bindExchange(destination, source, pattern) {
+    if (!isString(destination)) {
+      throw new TypeError(`Invalid destination; expected string, received ${typeOf(destination)}`);
+    }
+    if (!isString(source)) {
+      throw new TypeError(`Invalid source; expected string, received ${typeOf(source)}`);
+    }
+    if (!isString(pattern)) {
+      throw new TypeError(`Invalid pattern; expected string, received ${typeOf(pattern)}`);
+    }
+
+    // make sure connection is open
+    if (!this.conn) {
+      throw new Error('Unable to bind exchange; did you forget to call #connect()');
+    }
+
+    await this.channelRecovery;
+    const result = await this.incomingChannel.bindExchange(destination, source, pattern);
+    this.topology.exchangeBindings.set(JSON.stringify([destination, source, pattern]), [destination, source, pattern]);
+    return result;
+  }
+
+  async unbindExchange(destination, source, pattern) {
+    if (!isString(destination)) {
+      throw new TypeError(`Invalid destination; expected string, received ${typeOf(destination)}`);
+    }
+    if (!isString(source)) {
+      throw new TypeError(`Invalid source; expected string, received ${typeOf(source)}`);
+    }
+    if (!isString(pattern)) {
+      throw new TypeError(`Invalid pattern; expected string, received ${typeOf(pattern)}`);
+    }
+
+    // make sure connection is open
+    if (!this.conn) {
+      throw new Error('Unable to unbind exchange; did you forget to call #connect()');
+    }
+
+    await this.channelRecovery;
+    const result = await this.incomingChannel.unbindExchange(destination, source, pattern);
+    this.topology.exchangeBindings.delete(JSON.stringify([destination, source, pattern]));
+    return result;
+  }
+
+  /**
+   * Declares the designated partitioned exchange, i.e. a direct exchange along with a queue per partition,
+   * named "<exchange>.partition.<number>" and bound by partition number.
+   * Messages published to the exchange with a partitionKey are routed to the partition of that key, via consistent hashing.
+   * Partition queues have a single active consumer, thus each partition is consumed by one subscriber at a time.
+   * @param {string} exchange
+   * @param {number} partitions number of partitions
+   * @param {Object} [options] partition queue options, as in #assertQueue()
+   * @returns {Promise<Array<string>>} resolving to the names of the partition queues, by partition number
+   */
+  async assertPartitions(exchange, partitions, options = {}) {
+    if (!isString(exchange)) {
+      throw new TypeError(`Invalid exchange; expected string, received ${typeOf(exchange)}`);
+    }
+    if (!isInteger(partitions) || partitions < 1) {
+      throw new TypeError('Invalid partitions; expected positive integer');
+    }
+    if (!isPlainObject(options)) {
+      throw new TypeError(`Invalid options; expected plain object, received ${typeOf(options)}`);
+    }
+
+    // make sure connection is open
+    if (!this.conn) {
+      throw new Error('Unable to assert partitions; did you forget to call #connect()');
+    }
+
+    const queues = Array.from({ length: partitions }, (value, partition) => getPartitionQueue(exchange, partition));
+    const queueOptions = Object.assign({}, options, {
+      arguments: Object.assign({ 'x-single-active-consumer': true }, options.arguments)
+    });
+
+    await this.assertExchange(exchange, 'direct');
+    await Promise.each(queues, async (queue, partition) => {
+      await this.assertQueue(queue, queueOptions);
+      await this.bindQueue(queue, exchange, String(partition));
+    });
+
+    this.partitions.set(exchange, partitions);
+    return queues;
   }
 
   // /**
@@ -494,4 +2988,7 @@ class MessageBus {
   // }
 }
 
+// expose built-in dedupe store, e.g. to configure its size and ttl
+MessageBus.MemoryDedupeStore = MemoryDedupeStore;
+
 export default MessageBus;
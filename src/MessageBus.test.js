@@ -1,10 +1,15 @@
 /* eslint-env jest */
 
+import crypto from 'crypto';
 import Promise from 'bluebird';
 import 'dotenv/config'; // load env variables
 import MessageBus from './MessageBus';
+import getPartition from './partition';
 import uuid from 'uuid';
 
+// fall back to in-memory transport when no AMQP server is specified
+const RABBITMQ_URL = process.env.RABBITMQ_URL || 'memory://';
+
 describe('MessageBus', () => {
   describe('constructor()', () => {
     it('throws error when props is unspecified', () => {
@@ -31,13 +36,96 @@ describe('MessageBus', () => {
     });
 
     it('throws error when encryptionKey is invalid', () => {
-      expect(() => new MessageBus({ url: process.env.RABBITMQ_URL, queue: '__test__', encryptionKey: 123 }))
+      expect(() => new MessageBus({ url: RABBITMQ_URL, queue: '__test__', encryptionKey: 123 }))
         .toThrowError('Invalid encryptionKey property; expected string, received number');
     });
+
+    it('throws error when encryptionKeys is invalid', () => {
+      expect(() => new MessageBus({ url: 'amqp://localhost', encryptionKeys: 'abc' }))
+        .toThrowError('Invalid encryptionKeys property; expected plain object, received string');
+      expect(() => new MessageBus({ url: 'amqp://localhost', encryptionKeys: { k1: 123 }, encryptionKeyId: 'k1' }))
+        .toThrowError('Invalid encryptionKeys["k1"] property; expected string, received number');
+      expect(() => new MessageBus({ url: 'amqp://localhost', encryptionKey: 'abc', encryptionKeys: { k1: 'abc' } }))
+        .toThrowError('Invalid encryptionKeys property; cannot be combined with encryptionKey');
+    });
+
+    it('throws error when encryptionKeyId is invalid', () => {
+      expect(() => new MessageBus({ url: 'amqp://localhost', encryptionKeys: { k1: 'abc' } }))
+        .toThrowError('Invalid encryptionKeyId property; expected string, received null');
+      expect(() => new MessageBus({ url: 'amqp://localhost', encryptionKeys: { k1: 'abc' }, encryptionKeyId: 'k2' }))
+        .toThrowError('Invalid encryptionKeyId property; key "k2" not found in encryptionKeys');
+      expect(() => new MessageBus({ url: 'amqp://localhost', encryptionKeyId: 'k1' }))
+        .toThrowError('Invalid encryptionKeyId property; requires encryptionKeys to be specified');
+    });
+
+    it('throws error when legacyDecryption is invalid', () => {
+      expect(() => new MessageBus({ url: 'amqp://localhost', legacyDecryption: 'yes' }))
+        .toThrowError('Invalid legacyDecryption property; expected boolean, received string');
+    });
+
+    it('throws error when messageDefaults is invalid', () => {
+      expect(() => new MessageBus({ url: 'amqp://localhost', messageDefaults: 'abc' }))
+        .toThrowError('Invalid messageDefaults property; expected plain object, received string');
+      expect(() => new MessageBus({ url: 'amqp://localhost', messageDefaults: { appId: 123 } }))
+        .toThrowError('Invalid "appId" property; expected string, received number');
+    });
+
+    it('throws error when compression is invalid', () => {
+      expect(() => new MessageBus({ url: 'amqp://localhost', compression: 'gzip' }))
+        .toThrowError('Invalid compression property; expected plain object, received string');
+      expect(() => new MessageBus({ url: 'amqp://localhost', compression: { algorithm: 'lzma' } }))
+        .toThrowError('Invalid compression.algorithm property; expected "gzip", "deflate" or "brotli"');
+      expect(() => new MessageBus({ url: 'amqp://localhost', compression: { threshold: -1 } }))
+        .toThrowError('Invalid compression.threshold property; expected non-negative integer');
+    });
+
+    it('throws error when signing is invalid', () => {
+      expect(() => new MessageBus({ url: 'amqp://localhost', signing: 'abc' }))
+        .toThrowError('Invalid signing property; expected plain object, received string');
+      expect(() => new MessageBus({ url: 'amqp://localhost', signing: { algorithm: 'rsa', signerId: 'a', key: 'b' } }))
+        .toThrowError('Invalid signing.algorithm property; expected "hmac-sha256" or "ed25519"');
+      expect(() => new MessageBus({ url: 'amqp://localhost', signing: { signerId: 'a' } }))
+        .toThrowError('Invalid signing property; signerId and key must be specified together');
+      expect(() => new MessageBus({ url: 'amqp://localhost', signing: { trustedSigners: [] } }))
+        .toThrowError('Invalid signing.trustedSigners property; expected plain object, received array');
+      expect(() => new MessageBus({ url: 'amqp://localhost', signing: {} }))
+        .toThrowError('Invalid signing property; expected key and / or trustedSigners to be specified');
+    });
+
+    it('throws error when offlineBuffer is invalid', () => {
+      expect(() => new MessageBus({ url: 'amqp://localhost', offlineBuffer: true }))
+        .toThrowError('Invalid offlineBuffer property; expected plain object, received boolean');
+      expect(() => new MessageBus({ url: 'amqp://localhost', offlineBuffer: { maxSize: 0 } }))
+        .toThrowError('Invalid offlineBuffer.maxSize property; expected positive integer');
+      expect(() => new MessageBus({ url: 'amqp://localhost', offlineBuffer: { ttl: 1.5 } }))
+        .toThrowError('Invalid offlineBuffer.ttl property; expected positive integer');
+      expect(() => new MessageBus({ url: 'amqp://localhost', offlineBuffer: { file: 123 } }))
+        .toThrowError('Invalid offlineBuffer.file property; expected string, received number');
+    });
+
+    it('throws error when mandatory is invalid', () => {
+      expect(() => new MessageBus({ url: 'amqp://localhost', mandatory: 1 }))
+        .toThrowError('Invalid mandatory property; expected boolean, received number');
+    });
+
+    it('throws error when reconnect is invalid', () => {
+      expect(() => new MessageBus({ url: 'amqp://localhost', reconnect: 123 }))
+        .toThrowError('Invalid reconnect property; expected plain object, received number');
+      expect(() => new MessageBus({ url: 'amqp://localhost', reconnect: { initialDelay: -1 } }))
+        .toThrowError('Invalid reconnect.initialDelay property; expected non-negative integer');
+      expect(() => new MessageBus({ url: 'amqp://localhost', reconnect: { initialDelay: 100, maxDelay: 10 } }))
+        .toThrowError('Invalid reconnect.maxDelay property; expected integer, not less than initialDelay');
+      expect(() => new MessageBus({ url: 'amqp://localhost', reconnect: { factor: 0.5 } }))
+        .toThrowError('Invalid reconnect.factor property; expected number, not less than 1');
+      expect(() => new MessageBus({ url: 'amqp://localhost', reconnect: { jitter: 2 } }))
+        .toThrowError('Invalid reconnect.jitter property; expected number between 0 and 1');
+      expect(() => new MessageBus({ url: 'amqp://localhost', reconnect: { maxAttempts: 0 } }))
+        .toThrowError('Invalid reconnect.maxAttempts property; expected positive integer or Infinity');
+    });
   });
 
   const bus = new MessageBus({
-    url: process.env.RABBITMQ_URL,
+    url: RABBITMQ_URL,
     encryptionKey: process.env.MESSAGE_BUS_encryptionKey
   });
 
@@ -60,369 +148,3107 @@ describe('MessageBus', () => {
     });
   });
 
-  describe('disconnect()', () => {
-    it('disconnects from AMQP server', async () => {
-      await bus.disconnect();
-      expect(bus.conn).toBe(null);
-      expect(bus.conn).toBe(null);
-      expect(bus.incomingChannel).toBe(null);
-      expect(bus.outgoingChannel).toBe(null);
-      expect(bus.consumers.size).toBe(0);
-    });
+  describe('encrypt() / decrypt()', () => {
+    const encryptedBus = new MessageBus({ url: 'amqp://localhost', encryptionKey: 'keep-it-safe' });
+    const message = {
+      a: 1,
+      foo: 'bar'
+    };
 
-    it('does not throw if called twice', async () => {
-      await bus.disconnect();
-      expect(bus.conn).toBe(null);
+    it('marks encrypted message with "x-encryption" header', () => {
+      const { content, props } = encryptedBus.encrypt(message, { type: 'test' });
+      expect(props).toEqual({
+        type: 'test',
+        contentType: 'application/json',
+        headers: { 'x-encryption': 'aes-256-gcm' }
+      });
+      expect(encryptedBus.decrypt(content, props)).toEqual(message);
     });
-  });
 
-  describe('subscribe()', () => {
-    it('throws error when queue is unspecified', async () => {
-      try {
-        await bus.subscribe();
-      } catch (err) {
-        expect(err.message).toBe('Invalid queue; expected string, received undefined');
-      }
+    it('leaves message intact when encryptionKey is unspecified', () => {
+      const plainBus = new MessageBus({ url: 'amqp://localhost' });
+      const { content, props } = plainBus.encrypt(message, { type: 'test' });
+      expect(props).toEqual({ type: 'test', contentType: 'application/json' });
+      expect(JSON.parse(content.toString('utf8'))).toEqual(message);
+      expect(plainBus.decrypt(content, props)).toEqual(message);
     });
 
-    it('throws error when queue is invalid', async () => {
-      try {
-        await bus.subscribe(123);
-      } catch (err) {
-        expect(err.message).toBe('Invalid queue; expected string, received number');
-      }
-
-      try {
-        await bus.subscribe(null);
-      } catch (err) {
-        expect(err.message).toBe('Invalid queue; expected string, received null');
-      }
-
-      try {
-        await bus.subscribe(true);
-      } catch (err) {
-        expect(err.message).toBe('Invalid queue; expected string, received boolean');
-      }
-
-      try {
-        await bus.subscribe({});
-      } catch (err) {
-        expect(err.message).toBe('Invalid queue; expected string, received object');
-      }
+    it('throws error when decrypting message without "x-encryption" header', () => {
+      const content = Buffer.from(JSON.stringify(message), 'utf8');
+      expect(() => encryptedBus.decrypt(content, {}))
+        .toThrowError('Unable to decrypt message; message is not encrypted or was encrypted with legacy algorithm');
+    });
 
-      try {
-        await bus.subscribe([]);
-      } catch (err) {
-        expect(err.message).toBe('Invalid queue; expected string, received array');
-      }
+    it('throws error when decrypting encrypted message without encryptionKey', () => {
+      const plainBus = new MessageBus({ url: 'amqp://localhost' });
+      const { content, props } = encryptedBus.encrypt(message);
+      expect(() => plainBus.decrypt(content, props))
+        .toThrowError('Unable to decrypt message; encryptionKey is not specified');
     });
 
-    describe('@disconnected', () => {
-      it('throws error when disconnected', async () => {
-        try {
-          await bus.subscribe('queue', (msg, props, done) => done());
-        } catch (err) {
-          expect(err.message).toBe('Unable to subscribe to queue; did you forget to call #connect()');
-        }
-      });
+    it('throws error when encryption algorithm is unsupported', () => {
+      const { content } = encryptedBus.encrypt(message);
+      expect(() => encryptedBus.decrypt(content, { headers: { 'x-encryption': 'rot13' } }))
+        .toThrowError('Unable to decrypt message; unsupported encryption algorithm "rot13"');
     });
 
-    describe('@connected', () => {
-      const queue = uuid.v4();
-      const message = {
-        a: 1,
-        foo: 'bar'
-      };
+    describe('@keyring', () => {
+      const oldBus = new MessageBus({
+        url: 'amqp://localhost',
+        encryptionKeys: { k1: 'old-secret' },
+        encryptionKeyId: 'k1'
+      });
+      const rotatedBus = new MessageBus({
+        url: 'amqp://localhost',
+        encryptionKeys: { k1: 'old-secret', k2: 'new-secret' },
+        encryptionKeyId: 'k2'
+      });
 
-      beforeAll(async () => {
-        await bus.connect();
-        await bus.assertQueue(queue);
+      it('stamps active key ID in "x-encryption-key-id" header', () => {
+        const { props } = rotatedBus.encrypt(message);
+        expect(props.headers).toEqual({ 'x-encryption': 'aes-256-gcm', 'x-encryption-key-id': 'k2' });
       });
-      afterAll(async () => {
-        await bus.deleteQueue(queue);
-        await bus.disconnect();
+
+      it('decrypts messages encrypted with previous key', () => {
+        const { content, props } = oldBus.encrypt(message);
+        expect(rotatedBus.decrypt(content, props)).toEqual(message);
       });
 
-      it('subscribes to messages', async () => {
-        const listener = jest.fn((msg, props, done) => done());
-        await bus.subscribe(queue, listener);
-        await bus.sendToQueue(queue, message, {
-          type: 'test'
-        });
+      it('throws error when key ID is unknown', () => {
+        const { content, props } = rotatedBus.encrypt(message);
+        expect(() => oldBus.decrypt(content, props))
+          .toThrowError('Unable to decrypt message; unknown encryption key ID "k2"');
+      });
 
-        await Promise.delay(100); // required for test case to work
-        expect(listener).toHaveBeenCalled();
-        expect(listener.mock.calls[0][0]).toEqual(message);
-        expect(listener.mock.calls[0][1].type).toBe('test');
+      it('decrypts messages without key ID using active key', () => {
+        const singleKeyBus = new MessageBus({ url: 'amqp://localhost', encryptionKey: 'new-secret' });
+        const { content, props } = singleKeyBus.encrypt(message);
+        expect(rotatedBus.decrypt(content, props)).toEqual(message);
       });
     });
 
-    // it('garbage collects consumers on disconnect()', async () => {
-    //   expect(bus.consumers.size).toBe(0);
-    // });
-  });
+    const itIfSupported = crypto.createCipher ? it : it.skip;
 
-  describe('sendToQueue()', () => {
-    it('throws error when queue is unspecified', async () => {
-      try {
-        await bus.sendToQueue();
-      } catch (err) {
-        expect(err.message).toBe('Invalid queue; expected string, received undefined');
-      }
+    itIfSupported('decrypts legacy message when legacyDecryption is enabled', () => {
+      const legacyBus = new MessageBus({
+        url: 'amqp://localhost',
+        encryptionKey: 'keep-it-safe',
+        legacyDecryption: true
+      });
+      const cipher = crypto.createCipher('aes128', 'keep-it-safe');
+      const content = Buffer.concat([cipher.update(JSON.stringify(message), 'utf8'), cipher.final()]);
+      expect(legacyBus.decrypt(content, {})).toEqual(message);
     });
+  });
 
-    it('throws error when message is unspecified', async () => {
-      try {
-        await bus.sendToQueue('queue');
-      } catch (err) {
-        expect(err.message).toBe('Invalid message; must be specified');
-      }
+  describe('compression', () => {
+    const compressedBus = new MessageBus({
+      url: RABBITMQ_URL,
+      encryptionKey: 'keep-it-safe',
+      compression: { algorithm: 'deflate', threshold: 100 }
     });
+    const small = { foo: 'bar' };
+    const large = { foo: 'bar'.repeat(100) };
 
-    it('throws error when props is invalid', async () => {
-      try {
-        await bus.sendToQueue('queue', 'foo', 123);
-      } catch (err) {
-        expect(err.message).toBe('Invalid props; expected plain object, received number');
-      }
-
-      try {
-        await bus.sendToQueue('queue', 'foo', true);
-      } catch (err) {
-        expect(err.message).toBe('Invalid props; expected plain object, received boolean');
-      }
-
-      try {
-        await bus.sendToQueue('queue', 'foo', 'abc');
-      } catch (err) {
-        expect(err.message).toBe('Invalid props; expected plain object, received string');
-      }
+    it('compresses message exceeding threshold before encryption', () => {
+      const { content, props } = compressedBus.encrypt(large);
+      expect(props.contentEncoding).toBe('deflate');
+      expect(content.length).toBeLessThan(JSON.stringify(large).length);
+      expect(compressedBus.decrypt(content, props)).toEqual(large);
+    });
 
-      try {
-        await bus.sendToQueue('queue', 'foo', []);
-      } catch (err) {
-        expect(err.message).toBe('Invalid props; expected plain object, received array');
-      }
+    it('leaves message below threshold uncompressed', () => {
+      const { content, props } = compressedBus.encrypt(small);
+      expect(props).not.toHaveProperty('contentEncoding');
+      expect(compressedBus.decrypt(content, props)).toEqual(small);
+    });
 
-      try {
-        await bus.sendToQueue('queue', 'foo', () => console.log(1));
-      } catch (err) {
-        expect(err.message).toBe('Invalid props; expected plain object, received function');
-      }
+    it('leaves message with explicit content encoding uncompressed', () => {
+      const { props } = compressedBus.encrypt(large, { contentEncoding: 'identity' });
+      expect(props.contentEncoding).toBe('identity');
     });
 
-    describe('@disconnected', () => {
-      it('throws error when disconnected', async () => {
-        try {
-          await bus.sendToQueue('queue', 123);
-        } catch (err) {
-          expect(err.message).toBe('Unable to send to queue; did you forget to call #connect()');
-        }
-      });
+    it('decompresses message regardless of compression setting', () => {
+      const plainBus = new MessageBus({ url: 'amqp://localhost', encryptionKey: 'keep-it-safe' });
+      const { content, props } = compressedBus.encrypt(large);
+      expect(plainBus.decrypt(content, props)).toEqual(large);
     });
 
     describe('@connected', () => {
       const queue = uuid.v4();
-      const message = {
-        a: 1,
-        foo: 'bar'
-      };
 
       beforeAll(async () => {
-        await bus.connect();
-        await bus.assertQueue(queue);
+        await compressedBus.connect();
+        await compressedBus.assertQueue(queue);
       });
       afterAll(async () => {
-        await bus.deleteQueue(queue);
-        await bus.disconnect();
+        await compressedBus.deleteQueue(queue);
+        await compressedBus.disconnect();
       });
 
-      it('sends message with custom properties', async () => {
+      it('delivers compressed and uncompressed messages from the same queue', async () => {
         const listener = jest.fn((msg, props, done) => done());
-        await bus.subscribe(queue, listener);
-        const timestamp = Date.now();
-        await bus.sendToQueue(queue, message, {
-          timestamp,
-          type: 'test'
-        });
+        const unsubscribe = await compressedBus.subscribe(queue, listener);
 
+        await compressedBus.sendToQueue(queue, small);
+        await compressedBus.sendToQueue(queue, large);
         await Promise.delay(100); // required for test case to work
-        expect(listener).toHaveBeenCalled();
-        expect(listener.mock.calls[0][0]).toEqual(message);
-        expect(listener.mock.calls[0][1]).toMatchObject({
-          timestamp,
-          type: 'test'
-        });
+        await unsubscribe();
+
+        expect(listener.mock.calls.map(([msg]) => msg)).toEqual([small, large]);
+        expect(listener.mock.calls[1][1].contentEncoding).toBe('deflate');
       });
     });
   });
 
-  describe('publish()', () => {
-    it('throws error when exchange is unspecified', async () => {
-      try {
-        await bus.publish();
-      } catch (err) {
-        expect(err.message).toBe('Invalid exchange; expected string, received undefined');
-      }
+  describe('signing', () => {
+    const signedBus = new MessageBus({
+      url: RABBITMQ_URL,
+      signing: { signerId: 'orders', key: 'keep-it-safe' }
     });
+    const message = {
+      a: 1,
+      foo: 'bar'
+    };
 
-    it('throws error when routingKey is unspecified', async () => {
-      try {
-        await bus.publish('exchange');
-      } catch (err) {
-        expect(err.message).toBe('Invalid routingKey; expected string, received undefined');
-      }
+    it('signs message with "x-signature" and "x-signer-id" headers', () => {
+      const { content, props } = signedBus.encrypt(message, { messageId: 'abc' });
+      expect(props.headers).toEqual({
+        'x-signature': expect.any(String),
+        'x-signer-id': 'orders'
+      });
+      expect(signedBus.verifySignature(content, props)).toBe('orders');
     });
 
-    it('throws error when message is unspecified', async () => {
-      try {
-        await bus.publish('exchange', 'route.a');
-      } catch (err) {
-        expect(err.message).toBe('Invalid message; must be specified');
-      }
+    it('signs encrypted message', () => {
+      const encryptedBus = new MessageBus({
+        url: 'amqp://localhost',
+        encryptionKey: 'keep-it-safe',
+        signing: { signerId: 'orders', key: 'keep-it-safe' }
+      });
+      const { content, props } = encryptedBus.encrypt(message);
+      expect(props.headers).toMatchObject({ 'x-encryption': 'aes-256-gcm', 'x-signer-id': 'orders' });
+      expect(encryptedBus.verifySignature(content, props)).toBe('orders');
+      expect(encryptedBus.decrypt(content, props)).toEqual(message);
     });
 
-    it('throws error when props is invalid', async () => {
-      try {
-        await bus.publish('exchange', 'route.a', 'foo', 123);
-      } catch (err) {
-        expect(err.message).toBe('Invalid props; expected plain object, received number');
-      }
-
-      try {
-        await bus.publish('exchange', 'route.a', 'foo', true);
-      } catch (err) {
-        expect(err.message).toBe('Invalid props; expected plain object, received boolean');
-      }
-
-      try {
-        await bus.publish('exchange', 'route.a', 'foo', 'abc');
-      } catch (err) {
-        expect(err.message).toBe('Invalid props; expected plain object, received string');
-      }
+    it('throws error when signature is missing', () => {
+      const { content, props } = new MessageBus({ url: 'amqp://localhost' }).encrypt(message);
+      expect(() => signedBus.verifySignature(content, props))
+        .toThrowError('Unable to verify message; signature is missing');
+    });
 
-      try {
-        await bus.publish('exchange', 'route.a', 'foo', []);
-      } catch (err) {
-        expect(err.message).toBe('Invalid props; expected plain object, received array');
-      }
+    it('throws error when signer is unknown', () => {
+      const otherBus = new MessageBus({ url: 'amqp://localhost', signing: { signerId: 'billing', key: 'keep-it-safe' } });
+      const { content, props } = otherBus.encrypt(message);
+      expect(() => signedBus.verifySignature(content, props))
+        .toThrowError('Unable to verify message; unknown signer ID "billing"');
+    });
 
-      try {
-        await bus.publish('exchange', 'route.a', 'foo', () => console.log(1));
-      } catch (err) {
-        expect(err.message).toBe('Invalid props; expected plain object, received function');
-      }
+    it('throws error when message has been tampered with', () => {
+      const { content, props } = signedBus.encrypt(message, { type: 'test' });
+      expect(() => signedBus.verifySignature(content, Object.assign({}, props, { type: 'other' })))
+        .toThrowError('Unable to verify message; invalid signature by signer "orders"');
+      expect(() => signedBus.verifySignature(Buffer.from('{}'), props))
+        .toThrowError('Unable to verify message; invalid signature by signer "orders"');
     });
 
-    describe('@disconnected', () => {
-      it('throws error when disconnected', async () => {
-        try {
-          await bus.publish('exchange', 'route.a', 123);
-        } catch (err) {
-          expect(err.message).toBe('Unable to publish to exchange; did you forget to call #connect()');
-        }
+    it('verifies ed25519 signature with public key of trusted signer', () => {
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+      const producer = new MessageBus({
+        url: 'amqp://localhost',
+        signing: { algorithm: 'ed25519', signerId: 'orders', key: privateKey }
+      });
+      const consumer = new MessageBus({
+        url: 'amqp://localhost',
+        signing: { algorithm: 'ed25519', trustedSigners: { orders: publicKey } }
       });
+      const { content, props } = producer.encrypt(message);
+      expect(consumer.verifySignature(content, props)).toBe('orders');
     });
 
     describe('@connected', () => {
       const queue = uuid.v4();
-      const exchange = uuid.v4();
-      const routingKey = 'route.1';
-      const message = {
-        a: 1,
-        foo: 'bar'
-      };
+      const deadLetterQueue = `${queue}.dead`;
 
       beforeAll(async () => {
-        await bus.connect();
-        await bus.assertExchange(exchange, 'topic');
-        await bus.assertQueue(queue);
-        await bus.bindQueue(queue, exchange, routingKey);
+        await signedBus.connect();
+        await signedBus.assertQueue(queue);
       });
       afterAll(async () => {
-        await bus.unbindQueue(queue, exchange, routingKey);
-        await bus.deleteQueue(queue);
-        await bus.deleteExchange(exchange);
-        await bus.disconnect();
+        await signedBus.deleteQueue(queue);
+        await signedBus.deleteQueue(deadLetterQueue);
+        await signedBus.disconnect();
+      });
+
+      it('throws error when verifySignature option is invalid', async () => {
+        try {
+          await signedBus.subscribe(queue, () => null, { verifySignature: 'yes' });
+        } catch (err) {
+          expect(err.message).toBe('Invalid "verifySignature" option; expected boolean, received string');
+        }
+
+        try {
+          await bus.subscribe(queue, () => null, { verifySignature: true });
+        } catch (err) {
+          expect(err.message).toBe('Invalid "verifySignature" option; requires signing to be specified');
+        }
+      });
+
+      it('dead-letters messages with missing or invalid signature', async () => {
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await signedBus.subscribe(queue, listener, {
+          onDecodeError: 'deadLetter',
+          deadLetterQueue
+        });
+
+        const { content, props } = signedBus.encrypt(message, { messageId: 'tampered' });
+        await signedBus.sendToQueue(queue, message, { messageId: 'signed' });
+        await new Promise((resolve) => {
+          signedBus.outgoingChannel.sendToQueue(queue, Buffer.from('{}'), props, resolve);
+        });
+        await new Promise((resolve) => {
+          signedBus.outgoingChannel.sendToQueue(queue, content, { messageId: 'unsigned' }, resolve);
+        });
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][1].messageId).toBe('signed');
+
+        const deadLetters = await signedBus.peekDeadLetters(deadLetterQueue);
+        expect(deadLetters.map(({ props: { messageId } }) => messageId)).toEqual(['tampered', 'unsigned']);
+        expect(deadLetters[0].props.headers['x-error'])
+          .toBe('Unable to verify message; invalid signature by signer "orders"');
+        expect(deadLetters[1].props.headers['x-error']).toBe('Unable to verify message; signature is missing');
+      });
+
+      it('accepts unsigned messages when verifySignature is false', async () => {
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await signedBus.subscribe(queue, listener, { verifySignature: false });
+
+        await new Promise((resolve) => {
+          signedBus.outgoingChannel.sendToQueue(queue, Buffer.from(JSON.stringify(message)), {}, resolve);
+        });
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0]).toEqual(message);
+      });
+
+      it('replies to signed requests', async () => {
+        const unsubscribe = await signedBus.respond(queue, async (msg) => msg.a + 1);
+        const result = await signedBus.request(queue, message, { timeout: 1000 });
+        await unsubscribe();
+
+        expect(result).toBe(2);
+      });
+    });
+  });
+
+  describe('use()', () => {
+    it('throws error when middleware is invalid', () => {
+      const middlewareBus = new MessageBus({ url: RABBITMQ_URL });
+
+      expect(() => middlewareBus.use('abc'))
+        .toThrowError('Invalid middleware; expected function or plain object, received string');
+      expect(() => middlewareBus.use({ inbound: 123 }))
+        .toThrowError('Invalid middleware.inbound property; expected function, received number');
+      expect(() => middlewareBus.use({ outbound: true }))
+        .toThrowError('Invalid middleware.outbound property; expected function, received boolean');
+      expect(() => middlewareBus.use({}))
+        .toThrowError('Invalid middleware; expected inbound and / or outbound to be specified');
+    });
+
+    describe('@connected', () => {
+      const queue = uuid.v4();
+      const message = {
+        a: 1,
+        foo: 'bar'
+      };
+      let middlewareBus;
+
+      beforeEach(async () => {
+        middlewareBus = new MessageBus({ url: RABBITMQ_URL });
+        await middlewareBus.connect();
+        await middlewareBus.assertQueue(queue);
+      });
+      afterEach(async () => {
+        await middlewareBus.deleteQueue(queue);
+        await middlewareBus.disconnect();
+      });
+
+      it('runs middleware in order of registration, in both directions', async () => {
+        const calls = [];
+        middlewareBus
+          .use(async (ctx, next) => {
+            calls.push(`first:${ctx.direction}:before`);
+            await next();
+            calls.push(`first:${ctx.direction}:after`);
+          })
+          .use({
+            inbound: async (ctx, next) => {
+              calls.push('second:inbound');
+              await next();
+            }
+          });
+
+        const listener = jest.fn(async () => {
+          calls.push('listener');
+        });
+        const unsubscribe = await middlewareBus.subscribe(queue, listener, { promise: true });
+        await middlewareBus.sendToQueue(queue, message);
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        // message may be consumed before it is confirmed
+        expect(calls.filter((call) => call.includes('outbound'))).toEqual([
+          'first:outbound:before',
+          'first:outbound:after'
+        ]);
+        expect(calls.filter((call) => !call.includes('outbound'))).toEqual([
+          'first:inbound:before',
+          'second:inbound',
+          'listener',
+          'first:inbound:after'
+        ]);
+      });
+
+      it('allows outbound middleware to modify message and properties', async () => {
+        middlewareBus.use({
+          outbound: async (ctx, next) => {
+            ctx.message = Object.assign({}, ctx.message, { tenant: 'acme' });
+            ctx.props.headers = Object.assign({}, ctx.props.headers, { 'x-tenant': 'acme' });
+            await next();
+          }
+        });
+
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await middlewareBus.subscribe(queue, listener);
+        await middlewareBus.sendToQueue(queue, message, { headers: { foo: 'bar' } });
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0]).toEqual(Object.assign({}, message, { tenant: 'acme' }));
+        expect(listener.mock.calls[0][1].headers).toEqual({ foo: 'bar', 'x-tenant': 'acme' });
+      });
+
+      it('allows inbound middleware to modify message and properties', async () => {
+        middlewareBus.use({
+          inbound: async (ctx, next) => {
+            ctx.message = Object.assign({}, ctx.message, { received: true });
+            ctx.props.type = 'enriched';
+            await next();
+          }
+        });
+
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await middlewareBus.subscribe(queue, listener);
+        await middlewareBus.sendToQueue(queue, message);
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(listener.mock.calls[0][0]).toEqual(Object.assign({}, message, { received: true }));
+        expect(listener.mock.calls[0][1].type).toBe('enriched');
+      });
+
+      it('skips sending when outbound middleware short-circuits', async () => {
+        middlewareBus.use({
+          outbound: async (ctx, next) => {
+            if (ctx.props.type !== 'dropped') {
+              await next();
+            }
+          }
+        });
+
+        await middlewareBus.sendToQueue(queue, message, { type: 'dropped' });
+        await Promise.delay(100); // required for test case to work
+
+        const { messageCount } = await middlewareBus.incomingChannel.checkQueue(queue);
+        expect(messageCount).toBe(0);
+      });
+
+      it('acknowledges message when inbound middleware short-circuits', async () => {
+        middlewareBus.use({
+          inbound: async (ctx, next) => {
+            if (ctx.props.headers.tenant === 'acme') {
+              await next();
+            }
+          }
+        });
+
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await middlewareBus.subscribe(queue, listener);
+        await middlewareBus.sendToQueue(queue, message, { headers: { tenant: 'other' } });
+        await middlewareBus.sendToQueue(queue, message, { headers: { tenant: 'acme' } });
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][1].headers.tenant).toBe('acme');
+
+        const { messageCount } = await middlewareBus.incomingChannel.checkQueue(queue);
+        expect(messageCount).toBe(0);
+      });
+
+      it('lets middleware observe errors', async () => {
+        const errors = [];
+        middlewareBus.use(async (ctx, next) => {
+          try {
+            await next();
+          } catch (err) {
+            errors.push(`${ctx.direction}:${err.message}`);
+            throw err;
+          }
+        });
+
+        try {
+          await middlewareBus.sendToQueue(queue, 'abc', { contentType: 'application/unknown' });
+          throw new Error('Should not reach this point');
+        } catch (err) {
+          expect(err.message).toBe('Unable to encode message; unsupported content type "application/unknown"');
+        }
+
+        const listener = jest.fn(async () => {
+          throw new Error('Listener failed');
+        });
+        const unsubscribe = await middlewareBus.subscribe(queue, listener, {
+          promise: true,
+          retry: { maxAttempts: 1 }
+        });
+        await middlewareBus.sendToQueue(queue, message);
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+        await middlewareBus.deleteQueue(`${queue}.dead`);
+        await middlewareBus.deleteQueue(`${queue}.retry.1000`);
+
+        expect(errors).toEqual([
+          'outbound:Unable to encode message; unsupported content type "application/unknown"',
+          'inbound:Listener failed'
+        ]);
+      });
+
+      it('fails message when inbound middleware throws', async () => {
+        middlewareBus.use({
+          inbound: async () => {
+            throw new Error('Unauthorized');
+          }
+        });
+
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await middlewareBus.subscribe(queue, listener, {
+          retry: { maxAttempts: 1 }
+        });
+        await middlewareBus.sendToQueue(queue, message);
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(0);
+
+        const deadLetters = await middlewareBus.peekDeadLetters(`${queue}.dead`);
+        expect(deadLetters.length).toBe(1);
+        expect(deadLetters[0].props.headers['x-error']).toBe('Unauthorized');
+
+        await middlewareBus.deleteQueue(`${queue}.dead`);
+        await middlewareBus.deleteQueue(`${queue}.retry.1000`);
+      });
+
+      it('rejects when next() is called more than once', async () => {
+        middlewareBus.use({
+          outbound: async (ctx, next) => {
+            await next();
+            await next();
+          }
+        });
+
+        try {
+          await middlewareBus.sendToQueue(queue, message);
+          throw new Error('Should not reach this point');
+        } catch (err) {
+          expect(err.message).toBe('Unable to run middleware; next() called more than once');
+        }
+      });
+    });
+  });
+
+  describe('registerSchema()', () => {
+    const schemaBus = new MessageBus({ url: RABBITMQ_URL });
+    const schema = {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        name: { type: 'string' }
+      },
+      required: ['id']
+    };
+
+    beforeAll(() => {
+      schemaBus.registerSchema('user.created', schema);
+      schemaBus.registerSchema('user.created', Object.assign({}, schema, { required: ['id', 'name'] }), { version: 2 });
+    });
+
+    it('throws error when type is invalid', () => {
+      expect(() => schemaBus.registerSchema(123, schema))
+        .toThrowError('Invalid type; expected string, received number');
+    });
+
+    it('throws error when schema is invalid', () => {
+      expect(() => schemaBus.registerSchema('user.created', 'abc'))
+        .toThrowError('Invalid schema; expected plain object, received string');
+      expect(() => schemaBus.registerSchema('user.created', { type: 'foo' }))
+        .toThrowError(/^Invalid schema; /);
+    });
+
+    it('throws error when version is invalid', () => {
+      expect(() => schemaBus.registerSchema('user.created', schema, { version: true }))
+        .toThrowError('Invalid "version" option; expected string or integer, received boolean');
+    });
+
+    it('validates message against schema of its type', () => {
+      expect(() => schemaBus.validateMessage({ id: 1 }, { type: 'user.created' })).not.toThrow();
+      const expected = 'Invalid message of type "user.created"; '
+        + 'message.id should be integer, message.name should be string';
+      expect(() => schemaBus.validateMessage({ id: 'abc', name: 1 }, { type: 'user.created' })).toThrowError(expected);
+    });
+
+    it('validates message against schema of its version', () => {
+      const props = { type: 'user.created', headers: { 'x-schema-version': '2' } };
+      expect(() => schemaBus.validateMessage({ id: 1 }, props))
+        .toThrowError('Invalid message of type "user.created" v.2; message should have required property \'name\'');
+      expect(() => schemaBus.validateMessage({ id: 1 }, { type: 'user.created', headers: { 'x-schema-version': '3' } }))
+        .not.toThrow(); // falls back to unversioned schema
+    });
+
+    it('lists validation errors', () => {
+      try {
+        schemaBus.validateMessage({}, { type: 'user.created' });
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        expect(err.errors).toEqual([expect.objectContaining({ keyword: 'required' })]);
+      }
+    });
+
+    it('skips validation of messages without schema', () => {
+      expect(() => schemaBus.validateMessage('abc', { type: 'user.deleted' })).not.toThrow();
+      expect(() => schemaBus.validateMessage('abc', {})).not.toThrow();
+    });
+
+    describe('@connected', () => {
+      const queue = uuid.v4();
+      const deadLetterQueue = `${queue}.dead`;
+
+      beforeAll(async () => {
+        await schemaBus.connect();
+        await schemaBus.assertQueue(queue);
+      });
+      afterAll(async () => {
+        await schemaBus.deleteQueue(queue);
+        await schemaBus.deleteQueue(deadLetterQueue);
+        await schemaBus.disconnect();
+      });
+
+      it('rejects invalid message before publishing', async () => {
+        try {
+          await schemaBus.sendToQueue(queue, { id: 'abc' }, { type: 'user.created' });
+          throw new Error('Should not reach this point');
+        } catch (err) {
+          expect(err.message).toBe('Invalid message of type "user.created"; message.id should be integer');
+        }
+
+        const { messageCount } = await schemaBus.incomingChannel.checkQueue(queue);
+        expect(messageCount).toBe(0);
+      });
+
+      it('throws error when onValidationError option is invalid', async () => {
+        try {
+          await schemaBus.subscribe(queue, () => null, { onValidationError: 'ignore' });
+        } catch (err) {
+          expect(err.message).toBe('Invalid "onValidationError" option; expected "reject", "deadLetter" or function');
+        }
+
+        try {
+          await schemaBus.subscribe(queue, () => null, { onValidationError: 'deadLetter' });
+        } catch (err) {
+          expect(err.message)
+            .toBe('Invalid "deadLetterQueue" option; must be specified when onValidationError is "deadLetter"');
+        }
+      });
+
+      it('routes invalid message to onValidationError policy', async () => {
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await schemaBus.subscribe(queue, listener, {
+          onValidationError: 'deadLetter',
+          deadLetterQueue
+        });
+
+        await schemaBus.sendToQueue(queue, { id: 1 }, { type: 'user.created' });
+        await new Promise((resolve) => {
+          const content = Buffer.from(JSON.stringify({ id: 'abc' }));
+          const props = { type: 'user.created', messageId: 'invalid' };
+          schemaBus.outgoingChannel.sendToQueue(queue, content, props, resolve);
+        });
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0]).toEqual({ id: 1 });
+
+        const deadLetters = await schemaBus.peekDeadLetters(deadLetterQueue);
+        expect(deadLetters).toHaveLength(1);
+        expect(deadLetters[0].props.messageId).toBe('invalid');
+        expect(deadLetters[0].props.headers['x-error'])
+          .toBe('Invalid message of type "user.created"; message.id should be integer');
+      });
+    });
+  });
+
+  describe('registerCodec()', () => {
+    const codecBus = new MessageBus({ url: 'amqp://localhost', encryptionKey: 'keep-it-safe' });
+    const csv = {
+      encode: (rows) => Buffer.from(rows.map((row) => row.join(',')).join('\n'), 'utf8'),
+      decode: (buf) => buf.toString('utf8').split('\n').map((line) => line.split(','))
+    };
+
+    it('throws error when contentType is invalid', () => {
+      expect(() => codecBus.registerCodec(123, csv))
+        .toThrowError('Invalid contentType; expected string, received number');
+    });
+
+    it('throws error when codec is invalid', () => {
+      expect(() => codecBus.registerCodec('text/csv', null))
+        .toThrowError('Invalid codec; expected object, received null');
+      expect(() => codecBus.registerCodec('text/csv', { encode: csv.encode }))
+        .toThrowError('Invalid codec.decode property; expected function, received undefined');
+    });
+
+    it('encodes and decodes message by content type', () => {
+      codecBus.registerCodec('text/csv', csv);
+      const rows = [['a', 'b'], ['1', '2']];
+      const { content, props } = codecBus.encrypt(rows, { contentType: 'text/csv; charset=utf-8' });
+      expect(props.contentType).toBe('text/csv; charset=utf-8');
+      expect(codecBus.decrypt(content, props)).toEqual(rows);
+    });
+
+    it('supports built-in codecs', () => {
+      const buf = Buffer.from([1, 2, 3]);
+      const date = new Date();
+
+      const binary = codecBus.encrypt(buf, { contentType: 'application/octet-stream' });
+      expect(codecBus.decrypt(binary.content, binary.props).equals(buf)).toBe(true);
+
+      const text = codecBus.encrypt('foo', { contentType: 'text/plain' });
+      expect(codecBus.decrypt(text.content, text.props)).toBe('foo');
+
+      const msgpack = codecBus.encrypt({ buf, date }, { contentType: 'application/msgpack' });
+      expect(codecBus.decrypt(msgpack.content, msgpack.props)).toEqual({ buf, date });
+    });
+
+    it('decodes message without content type as JSON', () => {
+      const plainBus = new MessageBus({ url: 'amqp://localhost' });
+      expect(plainBus.decrypt(Buffer.from('{"a":1}', 'utf8'), {})).toEqual({ a: 1 });
+    });
+
+    it('throws error when content type is unsupported', () => {
+      expect(() => codecBus.encrypt('foo', { contentType: 'application/xml' }))
+        .toThrowError('Unable to encode message; unsupported content type "application/xml"');
+      const { content } = codecBus.encrypt('foo', { contentType: 'text/plain' });
+      const props = { contentType: 'application/xml', headers: { 'x-encryption': 'aes-256-gcm' } };
+      expect(() => codecBus.decrypt(content, props))
+        .toThrowError('Unable to decode message; unsupported content type "application/xml"');
+    });
+
+    describe('@connected', () => {
+      const queue = uuid.v4();
+
+      beforeAll(async () => {
+        await bus.connect();
+        await bus.assertQueue(queue);
+      });
+      afterAll(async () => {
+        await bus.deleteQueue(queue);
+        await bus.disconnect();
+      });
+
+      it('delivers message decoded by its content type', async () => {
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await bus.subscribe(queue, listener);
+        const message = { buf: Buffer.from([1, 2, 3]), date: new Date() };
+
+        await bus.sendToQueue(queue, message, { contentType: 'application/msgpack' });
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0]).toEqual(message);
+        expect(listener.mock.calls[0][1].contentType).toBe('application/msgpack');
+      });
+
+      it('treats message of unsupported content type as poison message', async () => {
+        const listener = jest.fn((msg, props, done) => done());
+        const onDecodeError = jest.fn();
+        const unsubscribe = await bus.subscribe(queue, listener, { onDecodeError });
+
+        await new Promise((resolve) => {
+          bus.outgoingChannel.sendToQueue(queue, Buffer.from('<a/>'), { contentType: 'application/xml' }, resolve);
+        });
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(listener).not.toHaveBeenCalled();
+        expect(onDecodeError).toHaveBeenCalledTimes(1);
+        expect(onDecodeError.mock.calls[0][0].message)
+          .toBe('Unable to decode message; unsupported content type "application/xml"');
+      });
+    });
+  });
+
+  describe('events', () => {
+    const eventBus = new MessageBus({
+      url: RABBITMQ_URL,
+      reconnect: { initialDelay: 10, maxDelay: 10, jitter: 0 }
+    });
+    const queue = uuid.v4();
+
+    afterAll(async () => {
+      await eventBus.disconnect();
+    });
+
+    it('emits "connected" on connect()', async () => {
+      const listener = jest.fn();
+      eventBus.once('connected', listener);
+      await eventBus.connect();
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it('emits "error" on connection error', async () => {
+      const listener = jest.fn();
+      eventBus.once('error', listener);
+      const err = new Error('boom');
+      eventBus.conn.emit('error', err);
+      expect(listener).toHaveBeenCalledWith(err);
+    });
+
+    it('does not throw on connection error without "error" listener', async () => {
+      expect(() => eventBus.conn.emit('error', new Error('boom'))).not.toThrow();
+    });
+
+    it('emits "consumerCancelled" when queue is deleted by the server', async () => {
+      const listener = jest.fn();
+      eventBus.once('consumerCancelled', listener);
+      await eventBus.assertQueue(queue);
+      await eventBus.subscribe(queue, (msg, props, done) => done());
+      const [consumerTag] = Array.from(eventBus.consumers.keys());
+
+      await eventBus.incomingChannel.deleteQueue(queue); // bypass bus to delete queue underneath the consumer
+      await Promise.delay(100); // required for test case to work
+      expect(listener).toHaveBeenCalledWith(consumerTag, queue);
+      expect(eventBus.consumers.size).toBe(0);
+    });
+
+    it('closes the channel of consumer cancelled by the server', async () => {
+      await eventBus.assertQueue(queue);
+      await eventBus.subscribe(queue, (msg, props, done) => done());
+      const [{ channel }] = Array.from(eventBus.consumers.values());
+      const close = jest.spyOn(channel, 'close');
+
+      await eventBus.incomingChannel.deleteQueue(queue); // bypass bus to delete queue underneath the consumer
+      await Promise.delay(100); // required for test case to work
+      expect(close).toHaveBeenCalledTimes(1);
+    });
+
+    it('emits "disconnected", "reconnecting" and "reconnected" on connection loss', async () => {
+      const disconnected = jest.fn();
+      const reconnecting = jest.fn();
+      const reconnected = jest.fn();
+      eventBus.once('disconnected', disconnected);
+      eventBus.once('reconnecting', reconnecting);
+      eventBus.once('reconnected', reconnected);
+
+      await eventBus.conn.close();
+      await eventBus.connect(); // waits for pending reconnection
+
+      expect(disconnected).toHaveBeenCalledTimes(1);
+      expect(reconnecting).toHaveBeenCalledWith(1, 10);
+      expect(reconnected).toHaveBeenCalledWith(1);
+    });
+
+    it('emits "disconnected" on disconnect()', async () => {
+      const listener = jest.fn();
+      eventBus.once('disconnected', listener);
+      await eventBus.disconnect();
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('disconnect()', () => {
+    it('disconnects from AMQP server', async () => {
+      await bus.disconnect();
+      expect(bus.conn).toBe(null);
+      expect(bus.conn).toBe(null);
+      expect(bus.incomingChannel).toBe(null);
+      expect(bus.outgoingChannel).toBe(null);
+      expect(bus.consumers.size).toBe(0);
+    });
+
+    it('does not throw if called twice', async () => {
+      await bus.disconnect();
+      expect(bus.conn).toBe(null);
+    });
+  });
+
+  describe('subscribe()', () => {
+    it('throws error when queue is unspecified', async () => {
+      try {
+        await bus.subscribe();
+      } catch (err) {
+        expect(err.message).toBe('Invalid queue; expected string, received undefined');
+      }
+    });
+
+    it('throws error when queue is invalid', async () => {
+      try {
+        await bus.subscribe(123);
+      } catch (err) {
+        expect(err.message).toBe('Invalid queue; expected string, received number');
+      }
+
+      try {
+        await bus.subscribe(null);
+      } catch (err) {
+        expect(err.message).toBe('Invalid queue; expected string, received null');
+      }
+
+      try {
+        await bus.subscribe(true);
+      } catch (err) {
+        expect(err.message).toBe('Invalid queue; expected string, received boolean');
+      }
+
+      try {
+        await bus.subscribe({});
+      } catch (err) {
+        expect(err.message).toBe('Invalid queue; expected string, received object');
+      }
+
+      try {
+        await bus.subscribe([]);
+      } catch (err) {
+        expect(err.message).toBe('Invalid queue; expected string, received array');
+      }
+    });
+
+    describe('@disconnected', () => {
+      it('throws error when disconnected', async () => {
+        try {
+          await bus.subscribe('queue', (msg, props, done) => done());
+        } catch (err) {
+          expect(err.message).toBe('Unable to subscribe to queue; did you forget to call #connect()');
+        }
+      });
+    });
+
+    describe('@connected', () => {
+      const queue = uuid.v4();
+      const message = {
+        a: 1,
+        foo: 'bar'
+      };
+
+      beforeAll(async () => {
+        await bus.connect();
+        await bus.assertQueue(queue);
+      });
+      afterAll(async () => {
+        await bus.deleteQueue(queue);
+        await bus.disconnect();
+      });
+
+      it('subscribes to messages', async () => {
+        const listener = jest.fn((msg, props, done) => done());
+        await bus.subscribe(queue, listener);
+        await bus.sendToQueue(queue, message, {
+          type: 'test'
+        });
+
+        await Promise.delay(100); // required for test case to work
+        expect(listener).toHaveBeenCalled();
+        expect(listener.mock.calls[0][0]).toEqual(message);
+        expect(listener.mock.calls[0][1].type).toBe('test');
+      });
+    });
+
+    describe('@poison messages', () => {
+      const queue = uuid.v4();
+      const deadLetterQueue = uuid.v4();
+      const message = {
+        a: 1,
+        foo: 'bar'
+      };
+      let unsubscribe;
+
+      beforeAll(async () => {
+        await bus.connect();
+        await bus.assertQueue(queue);
+      });
+      afterEach(async () => {
+        await unsubscribe();
+      });
+      afterAll(async () => {
+        await bus.deleteQueue(queue);
+        await bus.deleteQueue(deadLetterQueue);
+        await bus.disconnect();
+      });
+
+      it('throws error when options are invalid', async () => {
+        unsubscribe = () => null;
+
+        try {
+          await bus.subscribe(queue, (msg, props, done) => done(), 123);
+        } catch (err) {
+          expect(err.message).toBe('Invalid options; expected plain object, received number');
+        }
+
+        try {
+          await bus.subscribe(queue, (msg, props, done) => done(), { onDecodeError: 'ignore' });
+        } catch (err) {
+          expect(err.message).toBe('Invalid "onDecodeError" option; expected "reject", "deadLetter" or function');
+        }
+
+        try {
+          await bus.subscribe(queue, (msg, props, done) => done(), { onDecodeError: 'deadLetter' });
+        } catch (err) {
+          expect(err.message)
+            .toBe('Invalid "deadLetterQueue" option; must be specified when onDecodeError is "deadLetter"');
+        }
+      });
+
+      it('rejects undecodable message without blocking the consumer', async () => {
+        const listener = jest.fn((msg, props, done) => done());
+        unsubscribe = await bus.subscribe(queue, listener);
+
+        bus.outgoingChannel.sendToQueue(queue, Buffer.from('not json'));
+        await bus.sendToQueue(queue, message);
+
+        await Promise.delay(100); // required for test case to work
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0]).toEqual(message);
+      });
+
+      it('dead-letters undecodable message', async () => {
+        const listener = jest.fn((msg, props, done) => done());
+        unsubscribe = await bus.subscribe(queue, listener, { onDecodeError: 'deadLetter', deadLetterQueue });
+
+        bus.outgoingChannel.sendToQueue(queue, Buffer.from('not json'));
+        await Promise.delay(100); // required for test case to work
+
+        expect(listener).not.toHaveBeenCalled();
+        const msg = await bus.incomingChannel.get(deadLetterQueue, { noAck: true });
+        expect(msg.content.toString()).toBe('not json');
+        expect(msg.properties.headers['x-original-queue']).toBe(queue);
+        expect(msg.properties.headers['x-error']).toEqual(expect.any(String));
+      });
+
+      it('passes undecodable message to onDecodeError hook', async () => {
+        const listener = jest.fn((msg, props, done) => done());
+        const onDecodeError = jest.fn();
+        unsubscribe = await bus.subscribe(queue, listener, { onDecodeError });
+
+        bus.outgoingChannel.sendToQueue(queue, Buffer.from('not json'));
+        await Promise.delay(100); // required for test case to work
+
+        expect(listener).not.toHaveBeenCalled();
+        expect(onDecodeError).toHaveBeenCalledTimes(1);
+        expect(onDecodeError.mock.calls[0][0]).toBeInstanceOf(Error);
+        expect(onDecodeError.mock.calls[0][1].content.toString()).toBe('not json');
+      });
+
+      it('applies onDecodeError policy when listener throws', async () => {
+        const listener = jest.fn(() => {
+          throw new Error('boom');
+        });
+        const onDecodeError = jest.fn();
+        unsubscribe = await bus.subscribe(queue, listener, { onDecodeError });
+
+        await bus.sendToQueue(queue, message);
+        await Promise.delay(100); // required for test case to work
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(onDecodeError).toHaveBeenCalledTimes(1);
+        expect(onDecodeError.mock.calls[0][0].message).toBe('boom');
+      });
+    });
+
+    describe('@retry', () => {
+      const queue = uuid.v4();
+      const message = {
+        a: 1,
+        foo: 'bar'
+      };
+      let unsubscribe;
+
+      beforeAll(async () => {
+        await bus.connect();
+        await bus.assertQueue(queue);
+      });
+      afterEach(async () => {
+        await unsubscribe();
+      });
+      afterAll(async () => {
+        await bus.deleteQueue(queue);
+        await bus.deleteQueue(`${queue}.retry.50`);
+        await bus.deleteQueue(`${queue}.dead`);
+        await bus.disconnect();
+      });
+
+      it('throws error when retry option is invalid', async () => {
+        unsubscribe = () => null;
+
+        try {
+          await bus.subscribe(queue, (msg, props, done) => done(), { retry: { maxAttempts: 0 } });
+        } catch (err) {
+          expect(err.message).toBe('Invalid "retry.maxAttempts" option; expected positive integer');
+        }
+
+        try {
+          await bus.subscribe(queue, (msg, props, done) => done(), { retry: { delays: [] } });
+        } catch (err) {
+          expect(err.message).toBe('Invalid "retry.delays" option; expected non-empty array of non-negative integers');
+        }
+      });
+
+      it('retries failed message after delay', async () => {
+        const listener = jest.fn((msg, props, done) => {
+          done(listener.mock.calls.length === 1 ? new Error('boom') : null);
+        });
+        unsubscribe = await bus.subscribe(queue, listener, { retry: { maxAttempts: 3, delays: [50] } });
+
+        await bus.sendToQueue(queue, message);
+        await Promise.delay(30);
+        expect(listener).toHaveBeenCalledTimes(1); // still waiting in retry queue
+
+        await Promise.delay(200); // required for test case to work
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(listener.mock.calls[1][0]).toEqual(message);
+        expect(listener.mock.calls[1][1].headers).toMatchObject({ 'x-attempt': 2, 'x-error': 'boom' });
+      });
+
+      it('dead-letters message once max attempts are exhausted', async () => {
+        const listener = jest.fn((msg, props, done) => done(new Error('boom')));
+        unsubscribe = await bus.subscribe(queue, listener, { retry: { maxAttempts: 3, delays: [50] } });
+
+        await bus.sendToQueue(queue, message);
+        await Promise.delay(400); // required for test case to work
+
+        expect(listener).toHaveBeenCalledTimes(3);
+        const msg = await bus.incomingChannel.get(`${queue}.dead`, { noAck: true });
+        expect(bus.decrypt(msg.content, msg.properties)).toEqual(message);
+        expect(msg.properties.headers).toMatchObject({
+          'x-attempt': 3,
+          'x-error': 'boom',
+          'x-original-queue': queue
+        });
+      });
+
+      it('requeues message after delay when retry fails', async () => {
+        const listener = jest.fn((msg, props, done) => done(new Error('boom')));
+        const spy = jest.spyOn(bus, 'republish')
+          .mockImplementationOnce(() => Promise.reject(new Error('Channel closed')));
+        unsubscribe = await bus.subscribe(queue, listener, { retry: { maxAttempts: 2, delays: [50] } });
+
+        await bus.sendToQueue(queue, message);
+        await Promise.delay(30);
+        expect(listener).toHaveBeenCalledTimes(1); // still waiting to be requeued
+
+        await Promise.delay(300); // required for test case to work
+        spy.mockRestore();
+        expect(listener).toHaveBeenCalledTimes(3);
+        const msg = await bus.incomingChannel.get(`${queue}.dead`, { noAck: true });
+        expect(msg.properties.headers).toMatchObject({ 'x-attempt': 2, 'x-error': 'boom' });
+      });
+    });
+
+    describe('@promise', () => {
+      const queue = uuid.v4();
+      const message = {
+        a: 1,
+        foo: 'bar'
+      };
+      let unsubscribe;
+
+      beforeAll(async () => {
+        await bus.connect();
+        await bus.assertQueue(queue);
+      });
+      afterEach(async () => {
+        await unsubscribe();
+      });
+      afterAll(async () => {
+        await bus.deleteQueue(queue);
+        await bus.deleteQueue(`${queue}.retry.50`);
+        await bus.deleteQueue(`${queue}.dead`);
+        await bus.disconnect();
+      });
+
+      it('throws error when options are invalid', async () => {
+        unsubscribe = () => null;
+
+        try {
+          await bus.subscribe(queue, async () => null, { promise: 'yes' });
+        } catch (err) {
+          expect(err.message).toBe('Invalid "promise" option; expected boolean, received string');
+        }
+
+        try {
+          await bus.subscribe(queue, async () => null, { promise: true, timeout: 0 });
+        } catch (err) {
+          expect(err.message).toBe('Invalid "timeout" option; expected positive integer');
+        }
+      });
+
+      it('acknowledges message when listener resolves', async () => {
+        const listener = jest.fn(async () => null);
+        unsubscribe = await bus.subscribe(queue, listener, { promise: true });
+
+        await bus.sendToQueue(queue, message);
+        await Promise.delay(100); // required for test case to work
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0]).toEqual(message);
+        expect(listener.mock.calls[0][2]).toBeUndefined(); // no done callback
+        const { messageCount } = await bus.incomingChannel.checkQueue(queue);
+        expect(messageCount).toBe(0);
+      });
+
+      it('retries message when listener rejects', async () => {
+        const listener = jest.fn(async () => {
+          if (listener.mock.calls.length === 1) {
+            throw new Error('boom');
+          }
+        });
+        unsubscribe = await bus.subscribe(queue, listener, { promise: true, retry: { delays: [50] } });
+
+        await bus.sendToQueue(queue, message);
+        await Promise.delay(200); // required for test case to work
+
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(listener.mock.calls[1][1].headers).toMatchObject({ 'x-attempt': 2, 'x-error': 'boom' });
+      });
+
+      it('treats hung listener as failed after timeout', async () => {
+        const listener = jest.fn(() => {
+          // hang on 1st attempt
+          return listener.mock.calls.length === 1 ? new Promise(() => {}) : Promise.resolve();
+        });
+        unsubscribe = await bus.subscribe(queue, listener, { promise: true, timeout: 50, retry: { delays: [50] } });
+
+        await bus.sendToQueue(queue, message);
+        await Promise.delay(250); // required for test case to work
+
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(listener.mock.calls[1][1].headers['x-error']).toBe('Message processing timed out after 50 ms');
+      });
+    });
+
+    describe('@done', () => {
+      const queue = uuid.v4();
+      const message = {
+        a: 1,
+        foo: 'bar'
+      };
+
+      beforeAll(async () => {
+        await bus.connect();
+        await bus.assertQueue(queue);
+      });
+      afterAll(async () => {
+        await bus.deleteQueue(queue);
+        await bus.disconnect();
+      });
+
+      it('guards against calling done() more than once', async () => {
+        const onError = jest.fn();
+        bus.on('error', onError);
+        const listener = jest.fn((msg, props, done) => {
+          done();
+          done();
+        });
+        const unsubscribe = await bus.subscribe(queue, listener);
+
+        await bus.sendToQueue(queue, message);
+        await bus.sendToQueue(queue, message);
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+        bus.removeListener('error', onError);
+
+        expect(listener).toHaveBeenCalledTimes(2); // channel still operational
+        expect(onError).toHaveBeenCalledTimes(2);
+        expect(onError.mock.calls[0][0].message).toMatch(/done\(\) called more than once$/);
+      });
+    });
+
+    describe('@concurrency', () => {
+      const queue = uuid.v4();
+      const otherQueue = uuid.v4();
+      const message = {
+        a: 1,
+        foo: 'bar'
+      };
+
+      beforeAll(async () => {
+        await bus.connect();
+        await bus.assertQueue(queue);
+        await bus.assertQueue(otherQueue);
+      });
+      afterAll(async () => {
+        await bus.deleteQueue(queue);
+        await bus.deleteQueue(otherQueue);
+        await bus.disconnect();
+      });
+
+      it('throws error when options are invalid', async () => {
+        try {
+          await bus.subscribe(queue, () => null, { prefetch: 0 });
+        } catch (err) {
+          expect(err.message).toBe('Invalid "prefetch" option; expected positive integer');
+        }
+
+        try {
+          await bus.subscribe(queue, () => null, { concurrency: 1.5 });
+        } catch (err) {
+          expect(err.message).toBe('Invalid "concurrency" option; expected positive integer');
+        }
+      });
+
+      it('opens multiple subscriptions on dedicated channels', async () => {
+        const listener = jest.fn((msg, props, done) => done());
+        const otherListener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await bus.subscribe(queue, listener);
+        const otherUnsubscribe = await bus.subscribe(otherQueue, otherListener);
+
+        const channels = Array.from(bus.consumers.values()).map((consumer) => consumer.channel);
+        expect(channels[0]).not.toBe(channels[1]);
+        expect(channels).not.toContain(bus.incomingChannel);
+
+        await bus.sendToQueue(queue, message);
+        await bus.sendToQueue(otherQueue, message);
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+        await otherUnsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(otherListener).toHaveBeenCalledTimes(1);
+      });
+
+      it('processes messages in parallel up to concurrency', async () => {
+        let active = 0;
+        let maxActive = 0;
+        const listener = jest.fn(async () => {
+          active += 1;
+          maxActive = Math.max(maxActive, active);
+          await Promise.delay(50);
+          active -= 1;
+        });
+        const unsubscribe = await bus.subscribe(queue, listener, { promise: true, prefetch: 5, concurrency: 2 });
+
+        await Promise.each([1, 2, 3, 4, 5], () => bus.sendToQueue(queue, message));
+        await Promise.delay(400); // required for test case to work
+        await unsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(5);
+        expect(maxActive).toBe(2);
+      });
+
+      it('defaults concurrency to prefetch', async () => {
+        let active = 0;
+        let maxActive = 0;
+        const listener = jest.fn(async () => {
+          active += 1;
+          maxActive = Math.max(maxActive, active);
+          await Promise.delay(50);
+          active -= 1;
+        });
+        const unsubscribe = await bus.subscribe(queue, listener, { promise: true, prefetch: 3 });
+
+        await Promise.each([1, 2, 3], () => bus.sendToQueue(queue, message));
+        await Promise.delay(200); // required for test case to work
+        await unsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(3);
+        expect(maxActive).toBe(3);
+      });
+
+      it('waits for messages in progress on unsubscribe()', async () => {
+        const listener = jest.fn(() => Promise.delay(200));
+        const unsubscribe = await bus.subscribe(queue, listener, { promise: true, prefetch: 2, concurrency: 1 });
+
+        await Promise.each([1, 2], () => bus.sendToQueue(queue, message));
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        // first message is acked before the channel closes; second one is returned to the queue
+        expect(listener).toHaveBeenCalledTimes(1);
+        const { messageCount } = await bus.incomingChannel.checkQueue(queue);
+        expect(messageCount).toBe(1);
+        await bus.incomingChannel.purgeQueue(queue);
+      });
+    });
+
+    describe('@routing', () => {
+      const queue = uuid.v4();
+      const deadLetterQueue = uuid.v4();
+      const message = {
+        a: 1,
+        foo: 'bar'
+      };
+
+      beforeAll(async () => {
+        await bus.connect();
+        await bus.assertQueue(queue);
+      });
+      afterAll(async () => {
+        await bus.deleteQueue(queue);
+        await bus.deleteQueue(deadLetterQueue);
+        await bus.disconnect();
+      });
+
+      it('throws error when options are invalid', async () => {
+        try {
+          await bus.subscribe(queue, 123);
+        } catch (err) {
+          expect(err.message).toBe('Invalid listener; expected function, plain object or Router, received number');
+        }
+
+        try {
+          await bus.subscribe(queue, { handlers: [] });
+        } catch (err) {
+          expect(err.message).toBe('Invalid handlers; expected plain object, received array');
+        }
+
+        try {
+          await bus.subscribe(queue, { handlers: { 'user.created': null } });
+        } catch (err) {
+          expect(err.message).toBe('Invalid handler for "user.created"; expected function, received null');
+        }
+
+        try {
+          await bus.subscribe(queue, { handlers: {} }, { unhandled: 'requeue' });
+        } catch (err) {
+          expect(err.message).toBe('Invalid "unhandled" option; expected "ack", "reject" or "deadLetter"');
+        }
+
+        try {
+          await bus.subscribe(queue, { handlers: {} }, { unhandled: 'deadLetter' });
+        } catch (err) {
+          expect(err.message)
+            .toBe('Invalid "deadLetterQueue" option; must be specified when unhandled is "deadLetter"');
+        }
+      });
+
+      it('dispatches messages to handlers by type', async () => {
+        const onCreated = jest.fn((msg, props, done) => done());
+        const onDeleted = jest.fn((msg, props, done) => done());
+        const unsubscribe = await bus.subscribe(queue, {
+          handlers: {
+            'user.created': onCreated,
+            'user.deleted': onDeleted
+          }
+        });
+
+        await bus.sendToQueue(queue, message, { type: 'user.created' });
+        await bus.sendToQueue(queue, message, { type: 'user.deleted' });
+        await bus.sendToQueue(queue, message, { type: 'user.created' });
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(onCreated).toHaveBeenCalledTimes(2);
+        expect(onCreated.mock.calls[0][0]).toEqual(message);
+        expect(onCreated.mock.calls[0][1].type).toBe('user.created');
+        expect(onDeleted).toHaveBeenCalledTimes(1);
+      });
+
+      it('matches wildcard patterns, preferring exact matches', async () => {
+        const onCreated = jest.fn(async () => null);
+        const onUser = jest.fn(async () => null);
+        const onAny = jest.fn(async () => null);
+        const unsubscribe = await bus.route(queue)
+          .on('#', onAny)
+          .on('user.*', onUser)
+          .on('user.created', onCreated)
+          .subscribe({ promise: true });
+
+        await bus.sendToQueue(queue, message, { type: 'user.created' });
+        await bus.sendToQueue(queue, message, { type: 'user.updated' });
+        await bus.sendToQueue(queue, message, { type: 'order.placed' });
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(onCreated).toHaveBeenCalledTimes(1);
+        expect(onUser).toHaveBeenCalledTimes(0); // "#" is registered first
+        expect(onAny).toHaveBeenCalledTimes(2);
+      });
+
+      it('dispatches unhandled messages to fallback', async () => {
+        const onCreated = jest.fn((msg, props, done) => done());
+        const fallback = jest.fn((msg, props, done) => done());
+        const unsubscribe = await bus.subscribe(queue, {
+          handlers: { 'user.created': onCreated },
+          fallback
+        });
+
+        await bus.sendToQueue(queue, message, { type: 'user.deleted' });
+        await bus.sendToQueue(queue, message);
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(onCreated).toHaveBeenCalledTimes(0);
+        expect(fallback).toHaveBeenCalledTimes(2);
+      });
+
+      it('rejects unhandled messages by default', async () => {
+        const onCreated = jest.fn((msg, props, done) => done());
+        const unsubscribe = await bus.subscribe(queue, { handlers: { 'user.created': onCreated } });
+
+        await bus.sendToQueue(queue, message, { type: 'user.deleted' });
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(onCreated).toHaveBeenCalledTimes(0);
+
+        const listener = jest.fn((msg, props, done) => done());
+        const otherUnsubscribe = await bus.subscribe(queue, listener);
+        await Promise.delay(100); // required for test case to work
+        await otherUnsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(0); // i.e. message was not requeued
+      });
+
+      it('dead-letters unhandled messages when unhandled is "deadLetter"', async () => {
+        const unsubscribe = await bus.subscribe(queue, { handlers: {} }, {
+          unhandled: 'deadLetter',
+          deadLetterQueue
+        });
+
+        await bus.sendToQueue(queue, message, { type: 'user.deleted' });
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        const deadLetters = await bus.peekDeadLetters(deadLetterQueue);
+        expect(deadLetters.length).toBe(1);
+        expect(deadLetters[0].props.headers['x-error']).toBe('No handler for message of type "user.deleted"');
+      });
+
+      it('acknowledges unhandled messages when unhandled is "ack"', async () => {
+        const unsubscribe = await bus.route(queue)
+          .on('user.created', (msg, props, done) => done())
+          .subscribe({ unhandled: 'ack' });
+
+        await bus.sendToQueue(queue, message, { type: 'user.deleted' });
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        const listener = jest.fn((msg, props, done) => done());
+        const otherUnsubscribe = await bus.subscribe(queue, listener);
+        await Promise.delay(100); // required for test case to work
+        await otherUnsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(0);
+      });
+    });
+
+    describe('@dedupe', () => {
+      const queue = uuid.v4();
+      const message = {
+        a: 1,
+        foo: 'bar'
+      };
+
+      beforeAll(async () => {
+        await bus.connect();
+        await bus.assertQueue(queue);
+      });
+      afterAll(async () => {
+        await bus.deleteQueue(queue);
+        await bus.disconnect();
+      });
+
+      it('throws error when dedupe option is invalid', async () => {
+        try {
+          await bus.subscribe(queue, () => null, { dedupe: { has: () => false } });
+        } catch (err) {
+          expect(err.message).toBe('Invalid "dedupe" option; expected boolean or object with has() and add() methods');
+        }
+      });
+
+      it('acknowledges messages already processed without calling listener', async () => {
+        const listener = jest.fn((msg, props, done) => done());
+        const duplicateListener = jest.fn();
+        bus.on('duplicate', duplicateListener);
+        const unsubscribe = await bus.subscribe(queue, listener, { dedupe: true });
+
+        await bus.sendToQueue(queue, message, { messageId: 'a' });
+        await bus.sendToQueue(queue, message, { messageId: 'b' });
+        await bus.sendToQueue(queue, message, { messageId: 'a' });
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+        bus.removeListener('duplicate', duplicateListener);
+
+        expect(listener.mock.calls.map(([, props]) => props.messageId)).toEqual(['a', 'b']);
+        expect(duplicateListener).toHaveBeenCalledTimes(1);
+        expect(duplicateListener.mock.calls[0][0].properties.messageId).toBe('a');
+
+        const { messageCount } = await bus.incomingChannel.checkQueue(queue);
+        expect(messageCount).toBe(0);
+      });
+
+      it('does not record failed messages', async () => {
+        let attempt = 0;
+        const listener = jest.fn((msg, props, done) => {
+          attempt += 1;
+          done(attempt === 1 ? new Error('Listener failed') : undefined);
+        });
+        const unsubscribe = await bus.subscribe(queue, listener, { dedupe: true });
+
+        await bus.sendToQueue(queue, message, { messageId: 'c' });
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(2); // i.e. requeued message is processed again
+      });
+
+      it('records processed messages in custom store, by queue', async () => {
+        const keys = new Set();
+        const store = {
+          has: jest.fn(async (key) => keys.has(key)),
+          add: jest.fn(async (key) => {
+            keys.add(key);
+          })
+        };
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await bus.subscribe(queue, listener, { dedupe: store });
+
+        await bus.sendToQueue(queue, message, { messageId: 'd' });
+        await bus.sendToQueue(queue, message, { messageId: 'd' });
+        await bus.sendToQueue(queue, message); // i.e. with generated messageId
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(store.add).toHaveBeenCalledTimes(2);
+        expect(store.add.mock.calls[0][0]).toBe(`${queue}:d`);
+      });
+
+      it('processes messages when store is unavailable', async () => {
+        const store = {
+          has: jest.fn(() => Promise.reject(new Error('Store unavailable'))),
+          add: jest.fn(() => Promise.reject(new Error('Store unavailable')))
+        };
+        const errorListener = jest.fn();
+        bus.on('error', errorListener);
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await bus.subscribe(queue, listener, { dedupe: store });
+
+        await bus.sendToQueue(queue, message, { messageId: 'e' });
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+        bus.removeListener('error', errorListener);
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(errorListener).toHaveBeenCalledTimes(2);
+
+        const { messageCount } = await bus.incomingChannel.checkQueue(queue);
+        expect(messageCount).toBe(0);
+      });
+    });
+
+    describe('@outbox', () => {
+      const queue = uuid.v4();
+      const otherQueue = uuid.v4();
+      const deadLetterQueue = `${queue}.dead`;
+      const message = {
+        a: 1,
+        foo: 'bar'
+      };
+
+      beforeAll(async () => {
+        await bus.connect();
+        await bus.assertQueue(queue);
+        await bus.assertQueue(otherQueue);
+      });
+      afterAll(async () => {
+        await bus.deleteQueue(queue);
+        await bus.deleteQueue(otherQueue);
+        await bus.deleteQueue(deadLetterQueue);
+        await bus.deleteQueue(`${queue}.retry.1000`);
+        await bus.disconnect();
+      });
+
+      it('throws error when outbox option is invalid', async () => {
+        try {
+          await bus.subscribe(queue, () => null, { outbox: 'yes' });
+        } catch (err) {
+          expect(err.message).toBe('Invalid "outbox" option; expected boolean, received string');
+        }
+      });
+
+      it('sends messages published via outbox before acknowledging', async () => {
+        const listener = jest.fn((msg, props, done, outbox) => {
+          outbox.sendToQueue(otherQueue, { step: 1 });
+          outbox.publish('', otherQueue, { step: 2 });
+          done();
+        });
+        const unsubscribe = await bus.subscribe(queue, listener, { outbox: true });
+        await bus.sendToQueue(queue, message);
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        const messages = await bus.peekDeadLetters(otherQueue);
+        expect(messages.map((msg) => msg.message)).toEqual([{ step: 1 }, { step: 2 }]);
+        await bus.incomingChannel.purgeQueue(otherQueue);
+
+        const { messageCount } = await bus.incomingChannel.checkQueue(queue);
+        expect(messageCount).toBe(0);
+      });
+
+      it('supplies outbox to async listener', async () => {
+        const listener = jest.fn(async (msg, props, outbox) => {
+          outbox.sendToQueue(otherQueue, { step: 1 });
+        });
+        const unsubscribe = await bus.subscribe(queue, listener, { outbox: true, promise: true });
+        await bus.sendToQueue(queue, message);
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        const { messageCount } = await bus.incomingChannel.checkQueue(otherQueue);
+        expect(messageCount).toBe(1);
+        await bus.incomingChannel.purgeQueue(otherQueue);
+      });
+
+      it('discards messages published via outbox when listener fails', async () => {
+        const listener = jest.fn((msg, props, done, outbox) => {
+          outbox.sendToQueue(otherQueue, { step: 1 });
+          done(new Error('Listener failed'));
+        });
+        const unsubscribe = await bus.subscribe(queue, listener, {
+          outbox: true,
+          retry: { maxAttempts: 1 }
+        });
+        await bus.sendToQueue(queue, message);
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        const { messageCount } = await bus.incomingChannel.checkQueue(otherQueue);
+        expect(messageCount).toBe(0);
+        await bus.incomingChannel.purgeQueue(deadLetterQueue);
+      });
+
+      it('discards messages published via outbox when listener times out', async () => {
+        const listener = jest.fn(async (msg, props, outbox) => {
+          outbox.sendToQueue(otherQueue, { step: 1 });
+          await Promise.delay(100);
+        });
+        const unsubscribe = await bus.subscribe(queue, listener, {
+          outbox: true,
+          promise: true,
+          timeout: 30,
+          retry: { maxAttempts: 1 }
+        });
+        await bus.sendToQueue(queue, message);
+        await Promise.delay(200); // required for test case to work
+        await unsubscribe();
+
+        const deadLetters = await bus.peekDeadLetters(deadLetterQueue);
+        expect(deadLetters.length).toBe(1);
+        const { messageCount } = await bus.incomingChannel.checkQueue(otherQueue);
+        expect(messageCount).toBe(0);
+        await bus.incomingChannel.purgeQueue(deadLetterQueue);
+      });
+
+      it('fails message when publishing via outbox fails', async () => {
+        const listener = jest.fn((msg, props, done, outbox) => {
+          outbox.sendToQueue(otherQueue, { step: 1 });
+          outbox.publish('', uuid.v4(), { step: 2 }, { messageId: 'unroutable', mandatory: true });
+          done();
+        });
+        const unsubscribe = await bus.subscribe(queue, listener, {
+          outbox: true,
+          retry: { maxAttempts: 1 }
+        });
+        await bus.sendToQueue(queue, message);
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        const deadLetters = await bus.peekDeadLetters(deadLetterQueue);
+        expect(deadLetters.length).toBe(1);
+        expect(deadLetters[0].message).toEqual(message);
+        expect(deadLetters[0].props.headers['x-error'])
+          .toBe('Unable to publish message unroutable; returned by server with 312 NO_ROUTE');
+        await bus.incomingChannel.purgeQueue(otherQueue);
+      });
+    });
+
+    // it('garbage collects consumers on disconnect()', async () => {
+    //   expect(bus.consumers.size).toBe(0);
+    // });
+  });
+
+  describe('sendToQueue()', () => {
+    it('throws error when queue is unspecified', async () => {
+      try {
+        await bus.sendToQueue();
+      } catch (err) {
+        expect(err.message).toBe('Invalid queue; expected string, received undefined');
+      }
+    });
+
+    it('throws error when message is unspecified', async () => {
+      try {
+        await bus.sendToQueue('queue');
+      } catch (err) {
+        expect(err.message).toBe('Invalid message; must be specified');
+      }
+    });
+
+    it('throws error when props is invalid', async () => {
+      try {
+        await bus.sendToQueue('queue', 'foo', 123);
+      } catch (err) {
+        expect(err.message).toBe('Invalid props; expected plain object, received number');
+      }
+
+      try {
+        await bus.sendToQueue('queue', 'foo', true);
+      } catch (err) {
+        expect(err.message).toBe('Invalid props; expected plain object, received boolean');
+      }
+
+      try {
+        await bus.sendToQueue('queue', 'foo', 'abc');
+      } catch (err) {
+        expect(err.message).toBe('Invalid props; expected plain object, received string');
+      }
+
+      try {
+        await bus.sendToQueue('queue', 'foo', []);
+      } catch (err) {
+        expect(err.message).toBe('Invalid props; expected plain object, received array');
+      }
+
+      try {
+        await bus.sendToQueue('queue', 'foo', () => console.log(1));
+      } catch (err) {
+        expect(err.message).toBe('Invalid props; expected plain object, received function');
+      }
+    });
+
+    describe('@disconnected', () => {
+      it('throws error when disconnected', async () => {
+        try {
+          await bus.sendToQueue('queue', 123);
+        } catch (err) {
+          expect(err.message).toBe('Unable to send to queue; did you forget to call #connect()');
+        }
+      });
+    });
+
+    describe('@connected', () => {
+      const queue = uuid.v4();
+      const message = {
+        a: 1,
+        foo: 'bar'
+      };
+
+      beforeAll(async () => {
+        await bus.connect();
+        await bus.assertQueue(queue);
+      });
+      afterAll(async () => {
+        await bus.deleteQueue(queue);
+        await bus.disconnect();
+      });
+
+      it('sends message with custom properties', async () => {
+        const listener = jest.fn((msg, props, done) => done());
+        await bus.subscribe(queue, listener);
+        const timestamp = Date.now();
+        await bus.sendToQueue(queue, message, {
+          timestamp,
+          type: 'test'
+        });
+
+        await Promise.delay(100); // required for test case to work
+        expect(listener).toHaveBeenCalled();
+        expect(listener.mock.calls[0][0]).toEqual(message);
+        expect(listener.mock.calls[0][1]).toMatchObject({
+          timestamp,
+          type: 'test'
+        });
+      });
+    });
+  });
+
+  describe('publish()', () => {
+    it('throws error when exchange is unspecified', async () => {
+      try {
+        await bus.publish();
+      } catch (err) {
+        expect(err.message).toBe('Invalid exchange; expected string, received undefined');
+      }
+    });
+
+    it('throws error when routingKey is unspecified', async () => {
+      try {
+        await bus.publish('exchange');
+      } catch (err) {
+        expect(err.message).toBe('Invalid routingKey; expected string, received undefined');
+      }
+    });
+
+    it('throws error when message is unspecified', async () => {
+      try {
+        await bus.publish('exchange', 'route.a');
+      } catch (err) {
+        expect(err.message).toBe('Invalid message; must be specified');
+      }
+    });
+
+    it('throws error when props is invalid', async () => {
+      try {
+        await bus.publish('exchange', 'route.a', 'foo', 123);
+      } catch (err) {
+        expect(err.message).toBe('Invalid props; expected plain object, received number');
+      }
+
+      try {
+        await bus.publish('exchange', 'route.a', 'foo', true);
+      } catch (err) {
+        expect(err.message).toBe('Invalid props; expected plain object, received boolean');
+      }
+
+      try {
+        await bus.publish('exchange', 'route.a', 'foo', 'abc');
+      } catch (err) {
+        expect(err.message).toBe('Invalid props; expected plain object, received string');
+      }
+
+      try {
+        await bus.publish('exchange', 'route.a', 'foo', []);
+      } catch (err) {
+        expect(err.message).toBe('Invalid props; expected plain object, received array');
+      }
+
+      try {
+        await bus.publish('exchange', 'route.a', 'foo', () => console.log(1));
+      } catch (err) {
+        expect(err.message).toBe('Invalid props; expected plain object, received function');
+      }
+    });
+
+    it('throws error when props contain invalid property', async () => {
+      try {
+        await bus.publish('exchange', 'route.a', 'foo', { headers: 'abc' });
+      } catch (err) {
+        expect(err.message).toBe('Invalid "headers" property; expected plain object, received string');
+      }
+
+      try {
+        await bus.publish('exchange', 'route.a', 'foo', { correlationId: 123 });
+      } catch (err) {
+        expect(err.message).toBe('Invalid "correlationId" property; expected string, received number');
+      }
+
+      try {
+        await bus.publish('exchange', 'route.a', 'foo', { persistent: 'yes' });
+      } catch (err) {
+        expect(err.message).toBe('Invalid "persistent" property; expected boolean, received string');
+      }
+
+      try {
+        await bus.publish('exchange', 'route.a', 'foo', { expiration: -1 });
+      } catch (err) {
+        expect(err.message).toBe('Invalid "expiration" property; expected non-negative integer');
+      }
+
+      try {
+        await bus.publish('exchange', 'route.a', 'foo', { deliveryMode: 3 });
+      } catch (err) {
+        expect(err.message).toBe('Invalid "deliveryMode" property; expected 1 (non-persistent) or 2 (persistent)');
+      }
+    });
+
+    describe('@disconnected', () => {
+      it('throws error when disconnected', async () => {
+        try {
+          await bus.publish('exchange', 'route.a', 123);
+        } catch (err) {
+          expect(err.message).toBe('Unable to publish to exchange; did you forget to call #connect()');
+        }
+      });
+    });
+
+    describe('@connected', () => {
+      const queue = uuid.v4();
+      const exchange = uuid.v4();
+      const routingKey = 'route.1';
+      const message = {
+        a: 1,
+        foo: 'bar'
+      };
+
+      beforeAll(async () => {
+        await bus.connect();
+        await bus.assertExchange(exchange, 'topic');
+        await bus.assertQueue(queue);
+        await bus.bindQueue(queue, exchange, routingKey);
+      });
+      afterAll(async () => {
+        await bus.unbindQueue(queue, exchange, routingKey);
+        await bus.deleteQueue(queue);
+        await bus.deleteExchange(exchange);
+        await bus.disconnect();
       });
 
       it('publishes message with custom properties', async () => {
         const listener = jest.fn((msg, props, done) => done());
-        await bus.subscribe(queue, listener);
+        const unsubscribe = await bus.subscribe(queue, listener);
+
+        const timestamp = Date.now();
+        await bus.publish(exchange, routingKey, message, {
+          timestamp,
+          type: 'test'
+        });
+
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+        expect(listener).toHaveBeenCalled();
+        expect(listener.mock.calls[0][0]).toEqual(message);
+        expect(listener.mock.calls[0][1]).toMatchObject({
+          timestamp,
+          type: 'test'
+        });
+      });
+
+      it('publishes message with full property set', async () => {
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await bus.subscribe(queue, listener);
+
+        await bus.publish(exchange, routingKey, message, {
+          headers: { foo: 'bar' },
+          correlationId: 'abc',
+          replyTo: 'reply_queue',
+          expiration: 60000,
+          contentType: 'application/json',
+          contentEncoding: 'identity',
+          appId: 'test'
+        });
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][1]).toMatchObject({
+          headers: { foo: 'bar' },
+          correlationId: 'abc',
+          replyTo: 'reply_queue',
+          expiration: '60000',
+          deliveryMode: 2, // i.e. persistent by default
+          contentType: 'application/json',
+          contentEncoding: 'identity',
+          appId: 'test'
+        });
+      });
+
+      it('applies message defaults of message bus', async () => {
+        const defaultsBus = new MessageBus({
+          url: RABBITMQ_URL,
+          messageDefaults: {
+            appId: 'test',
+            headers: { foo: 'bar' }
+          }
+        });
+        await defaultsBus.connect();
+
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await bus.subscribe(queue, listener);
+
+        await defaultsBus.publish(exchange, routingKey, message, { headers: { baz: 'qux' } });
+        await defaultsBus.publish(exchange, routingKey, message, { appId: 'other', deliveryMode: 1 });
+        await defaultsBus.disconnect();
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(listener.mock.calls[0][1]).toMatchObject({
+          appId: 'test',
+          deliveryMode: 2,
+          headers: { foo: 'bar', baz: 'qux' }
+        });
+        expect(listener.mock.calls[1][1]).toMatchObject({
+          appId: 'other',
+          deliveryMode: 1,
+          headers: { foo: 'bar' }
+        });
+      });
+    });
+
+    describe('@confirms', () => {
+      const exchange = uuid.v4();
+      const message = {
+        a: 1,
+        foo: 'bar'
+      };
+
+      beforeAll(async () => {
+        await bus.connect();
+        await bus.assertExchange(exchange, 'topic');
+      });
+      afterAll(async () => {
+        await bus.deleteExchange(exchange);
+        await bus.disconnect();
+      });
+
+      it('throws error when mandatory is invalid', async () => {
+        try {
+          await bus.publish(exchange, 'route.a', message, { mandatory: 'yes' });
+        } catch (err) {
+          expect(err.message).toBe('Invalid "mandatory" property; expected boolean, received string');
+        }
+      });
+
+      it('rejects when message is nacked by server', async () => {
+        const spy = jest.spyOn(bus.outgoingChannel, 'publish')
+          .mockImplementation((ex, routingKey, content, props, callback) => callback(new Error('message nacked')));
+
+        try {
+          await bus.publish(exchange, 'route.a', message, { messageId: 'abc' });
+          throw new Error('Should not reach this point');
+        } catch (err) {
+          expect(err.message).toBe('Unable to publish message abc; message nacked');
+        } finally {
+          spy.mockRestore();
+        }
+      });
+
+      it('resolves when unroutable message is not mandatory', async () => {
+        const onReturned = jest.fn();
+        bus.on('returned', onReturned);
+
+        await bus.publish(exchange, 'route.a', message);
+        await Promise.delay(100); // required for test case to work
+        bus.removeListener('returned', onReturned);
+
+        expect(onReturned).not.toHaveBeenCalled();
+      });
+
+      it('rejects when mandatory message is returned by server', async () => {
+        const onReturned = jest.fn();
+        bus.on('returned', onReturned);
+
+        try {
+          await bus.publish(exchange, 'route.a', message, { messageId: 'abc', mandatory: true });
+          throw new Error('Should not reach this point');
+        } catch (err) {
+          expect(err.message).toBe('Unable to publish message abc; returned by server with 312 NO_ROUTE');
+          expect(err.replyCode).toBe(312);
+          expect(err.replyText).toBe('NO_ROUTE');
+        } finally {
+          bus.removeListener('returned', onReturned);
+        }
+
+        expect(onReturned).toHaveBeenCalledTimes(1);
+        expect(bus.pendingReturns.size).toBe(0);
+      });
+
+      it('rejects each returned message sharing the same message ID', async () => {
+        const results = await Promise.all([
+          bus.sendToQueue(uuid.v4(), message, { messageId: 'same', mandatory: true }).catch((err) => err),
+          bus.sendToQueue(uuid.v4(), message, { messageId: 'same', mandatory: true }).catch((err) => err)
+        ]);
+
+        expect(results.map((err) => err.replyCode)).toEqual([312, 312]);
+        expect(bus.pendingReturns.size).toBe(0);
+      });
+
+      it('applies mandatory setting of message bus', async () => {
+        const mandatoryBus = new MessageBus({ url: RABBITMQ_URL, mandatory: true });
+        await mandatoryBus.connect();
+
+        try {
+          await mandatoryBus.sendToQueue(uuid.v4(), message, { messageId: 'abc' });
+          throw new Error('Should not reach this point');
+        } catch (err) {
+          expect(err.replyCode).toBe(312);
+        } finally {
+          await mandatoryBus.disconnect();
+        }
+      });
+
+      it('reopens channels closed by the server', async () => {
+        const queue = uuid.v4();
+        const onChannelError = jest.fn();
+        bus.on('channelError', onChannelError);
+
+        try {
+          await bus.publish(uuid.v4(), 'route.a', message);
+          throw new Error('Should not reach this point');
+        } catch (err) {
+          expect(err.message).toMatch(/404/);
+        }
+        try {
+          await bus.bindQueue(uuid.v4(), uuid.v4(), 'route.a');
+          throw new Error('Should not reach this point');
+        } catch (err) {
+          expect(err.message).toMatch(/404/);
+        }
+
+        await bus.assertQueue(queue);
+        await bus.sendToQueue(queue, message);
+        await bus.sendToQueue(queue, message);
+        bus.removeListener('channelError', onChannelError);
+
+        expect(onChannelError).toHaveBeenCalledTimes(2);
+        const { messageCount } = await bus.incomingChannel.checkQueue(queue);
+        expect(messageCount).toBe(2);
+        await bus.deleteQueue(queue);
+      });
+    });
+
+    describe('@complex routing', () => {
+      const exchange = uuid.v4();
+      const queue1 = uuid.v4();
+      const queue2 = uuid.v4();
+      const routingKey1 = 'route.1';
+      const message1 = { a: 1 };
+      const routingKey2 = 'route.2';
+      const message2 = { b: 2 };
+
+      beforeAll(async () => {
+        await bus.connect();
+        await bus.assertExchange(exchange, 'topic');
+        await bus.assertQueue(queue1);
+        await bus.bindQueue(queue1, exchange, routingKey1);
+        await bus.assertQueue(queue2);
+        await bus.bindQueue(queue2, exchange, routingKey2);
+      });
+      afterAll(async () => {
+        await bus.unbindQueue(queue1, exchange, routingKey1);
+        await bus.deleteQueue(queue1);
+        await bus.unbindQueue(queue2, exchange, routingKey2);
+        await bus.deleteQueue(queue2);
+        await bus.deleteExchange(exchange);
+        await bus.disconnect();
+      });
+
+      it('routes message correctly', async () => {
+        const listener1 = jest.fn((msg, props, done) => done());
+        await bus.subscribe(queue1, listener1);
+
+        const listener2 = jest.fn((msg, props, done) => done());
+        await bus.subscribe(queue2, listener2);
+
+        const timestamp = Date.now();
+        await bus.publish(exchange, routingKey1, message1, {
+          timestamp,
+          type: 'test-1'
+        });
+        await bus.publish(exchange, routingKey2, message2, {
+          timestamp,
+          type: 'test-2'
+        });
+        await Promise.delay(100); // required for test case to work
+
+        expect(listener1).toHaveBeenCalled();
+        expect(listener1.mock.calls[0][0]).toEqual(message1);
+        expect(listener1.mock.calls[0][1]).toMatchObject({
+          timestamp,
+          type: 'test-1'
+        });
+
+        expect(listener2).toHaveBeenCalled();
+        expect(listener2.mock.calls[0][0]).toEqual(message2);
+        expect(listener2.mock.calls[0][1]).toMatchObject({
+          timestamp,
+          type: 'test-2'
+        });
+      });
+    });
+  });
+
+  describe('request() / respond()', () => {
+    it('throws error when queue is unspecified', async () => {
+      try {
+        await bus.request();
+      } catch (err) {
+        expect(err.message).toBe('Invalid queue; expected string, received undefined');
+      }
+    });
+
+    it('throws error when timeout is invalid', async () => {
+      try {
+        await bus.request('queue', 'foo', { timeout: 0 });
+      } catch (err) {
+        expect(err.message).toBe('Invalid "timeout" property; expected positive integer');
+      }
+    });
+
+    it('throws error when handler is invalid', async () => {
+      try {
+        await bus.respond('queue', 123);
+      } catch (err) {
+        expect(err.message).toBe('Invalid handler; expected function, received number');
+      }
+    });
+
+    describe('@disconnected', () => {
+      it('throws error when disconnected', async () => {
+        try {
+          await bus.request('queue', 123);
+        } catch (err) {
+          expect(err.message).toBe('Unable to send request; did you forget to call #connect()');
+        }
+      });
+    });
+
+    describe('@connected', () => {
+      const queue = uuid.v4();
+      let unsubscribe;
+
+      beforeAll(async () => {
+        await bus.connect();
+        await bus.assertQueue(queue);
+        unsubscribe = await bus.respond(queue, async (msg, props) => {
+          if (props.type === 'fail') {
+            const err = new Error('Unable to add numbers');
+            err.code = 'EADD';
+            throw err;
+          }
+          return msg.a + msg.b;
+        });
+      });
+      afterAll(async () => {
+        await unsubscribe();
+        await bus.deleteQueue(queue);
+        await bus.disconnect();
+      });
+
+      it('resolves with the reply', async () => {
+        const results = await Promise.all([
+          bus.request(queue, { a: 1, b: 2 }),
+          bus.request(queue, { a: 3, b: 4 })
+        ]);
+        expect(results).toEqual([3, 7]);
+      });
+
+      it('rejects with the error thrown by the responder', async () => {
+        try {
+          await bus.request(queue, { a: 1, b: 2 }, { type: 'fail' });
+          throw new Error('Expected request to reject');
+        } catch (err) {
+          expect(err.message).toBe('Unable to add numbers');
+          expect(err.code).toBe('EADD');
+        }
+      });
+
+      it('rejects when reply does not arrive in time', async () => {
+        const silentQueue = uuid.v4();
+        await bus.assertQueue(silentQueue);
+
+        try {
+          await bus.request(silentQueue, { a: 1, b: 2 }, { timeout: 50 });
+          throw new Error('Expected request to reject');
+        } catch (err) {
+          expect(err.message).toBe('Request timed out after 50 ms');
+        } finally {
+          await bus.deleteQueue(silentQueue);
+        }
+      });
+
+      it('ignores "promise" option', async () => {
+        const promiseQueue = uuid.v4();
+        await bus.assertQueue(promiseQueue);
+        const promiseUnsubscribe = await bus.respond(promiseQueue, async (msg) => msg.a * msg.b, { promise: true });
+
+        const unhandledRejection = jest.fn();
+        process.on('unhandledRejection', unhandledRejection);
+
+        const result = await bus.request(promiseQueue, { a: 2, b: 3 });
+        await Promise.delay(100); // required for test case to work
+        process.removeListener('unhandledRejection', unhandledRejection);
+        expect(result).toBe(6);
+        expect(unhandledRejection).not.toHaveBeenCalled();
+        await promiseUnsubscribe();
+        await bus.deleteQueue(promiseQueue);
+      });
+
+      it('forgets pending request when it cannot be sent', async () => {
+        const channel = await bus.getReplyChannel();
+        const sendError = new Error('Channel closed');
+        jest.spyOn(channel, 'sendToQueue').mockImplementationOnce(() => {
+          throw sendError;
+        });
+
+        try {
+          await bus.request(queue, { a: 1, b: 2 });
+          throw new Error('Expected request to reject');
+        } catch (err) {
+          expect(err).toBe(sendError);
+        }
+        expect(bus.pendingRequests.size).toBe(0);
+      });
+    });
+  });
+
+  describe('peekDeadLetters()', () => {
+    it('throws error when queue is unspecified', async () => {
+      try {
+        await bus.peekDeadLetters();
+      } catch (err) {
+        expect(err.message).toBe('Invalid queue; expected string, received undefined');
+      }
+    });
+
+    it('throws error when limit is invalid', async () => {
+      try {
+        await bus.peekDeadLetters('queue', { limit: 0 });
+      } catch (err) {
+        expect(err.message).toBe('Invalid "limit" option; expected positive integer');
+      }
+    });
+
+    describe('@connected', () => {
+      const queue = uuid.v4();
+
+      beforeAll(async () => {
+        await bus.connect();
+        await bus.assertQueue(queue);
+        await bus.sendToQueue(queue, { a: 1 }, { type: 'a' });
+        await bus.sendToQueue(queue, { b: 2 }, { type: 'b' });
+        await bus.sendToQueue(queue, { c: 3 }, { type: 'c' });
+      });
+      afterAll(async () => {
+        await bus.deleteQueue(queue);
+        await bus.disconnect();
+      });
+
+      it('returns messages without removing them from queue', async () => {
+        const messages = await bus.peekDeadLetters(queue, { limit: 2 });
+        expect(messages.map(({ message }) => message)).toEqual([{ a: 1 }, { b: 2 }]);
+        expect(messages[0].props.type).toBe('a');
+        expect(messages[0].error).toBe(null);
+
+        await Promise.delay(100); // required for test case to work
+        const { messageCount } = await bus.incomingChannel.checkQueue(queue);
+        expect(messageCount).toBe(3);
+      });
+    });
+  });
+
+  describe('redrive()', () => {
+    it('throws error when deadLetterQueue is unspecified', async () => {
+      try {
+        await bus.redrive();
+      } catch (err) {
+        expect(err.message).toBe('Invalid deadLetterQueue; expected string, received undefined');
+      }
+    });
+
+    it('throws error when targetQueue is unspecified', async () => {
+      try {
+        await bus.redrive('queue');
+      } catch (err) {
+        expect(err.message).toBe('Invalid targetQueue; expected string, received undefined');
+      }
+    });
+
+    it('throws error when targetQueue is the deadLetterQueue without limit', async () => {
+      try {
+        await bus.redrive('queue', 'queue');
+        throw new Error('Expected redrive to reject');
+      } catch (err) {
+        expect(err.message).toBe('Invalid targetQueue; must differ from deadLetterQueue when "limit" is Infinity');
+      }
+    });
+
+    describe('@disconnected', () => {
+      it('throws error when disconnected', async () => {
+        try {
+          await bus.redrive('queue', 'target');
+        } catch (err) {
+          expect(err.message).toBe('Unable to redrive dead letters; did you forget to call #connect()');
+        }
+      });
+    });
+
+    describe('@connected', () => {
+      const deadLetterQueue = uuid.v4();
+      const targetQueue = uuid.v4();
+
+      beforeAll(async () => {
+        await bus.connect();
+        await bus.assertQueue(deadLetterQueue);
+        await bus.assertQueue(targetQueue);
+        await bus.sendToQueue(deadLetterQueue, { a: 1 }, { type: 'a' });
+        await bus.sendToQueue(deadLetterQueue, { b: 2 }, { type: 'b' });
+        await bus.sendToQueue(deadLetterQueue, { c: 3 }, {
+          type: 'a',
+          appId: 'test',
+          headers: { tenant: 'acme', 'x-error': 'boom' }
+        });
+      });
+      afterAll(async () => {
+        await bus.deleteQueue(deadLetterQueue);
+        await bus.deleteQueue(targetQueue);
+        await bus.disconnect();
+      });
+
+      it('moves selected messages to target queue', async () => {
+        const count = await bus.redrive(deadLetterQueue, targetQueue, {
+          filter: (msg, props) => props.type === 'a'
+        });
+        expect(count).toBe(2);
+
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await bus.subscribe(targetQueue, listener);
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+        expect(listener.mock.calls.map(([msg]) => msg)).toEqual([{ a: 1 }, { c: 3 }]);
+        expect(listener.mock.calls[1][1]).toMatchObject({ appId: 'test', headers: { tenant: 'acme' } });
+        expect(listener.mock.calls[1][1].headers).not.toHaveProperty('x-error');
+
+        const remaining = await bus.peekDeadLetters(deadLetterQueue);
+        expect(remaining.map(({ message }) => message)).toEqual([{ b: 2 }]);
+      });
+
+      it('keeps messages in dead-letter queue when target queue does not exist', async () => {
+        try {
+          await bus.redrive(deadLetterQueue, uuid.v4());
+          throw new Error('Expected redrive to reject');
+        } catch (err) {
+          expect(err.replyCode).toBe(312);
+        }
+
+        const remaining = await bus.peekDeadLetters(deadLetterQueue);
+        expect(remaining.map(({ message }) => message)).toEqual([{ b: 2 }]);
+      });
+    });
+  });
+
+  describe('assertPartitions() / subscribePartitioned()', () => {
+    it('throws error when partitions is invalid', async () => {
+      try {
+        await bus.assertPartitions('orders', 0);
+      } catch (err) {
+        expect(err.message).toBe('Invalid partitions; expected positive integer');
+      }
+    });
+
+    it('throws error when concurrency option is invalid', async () => {
+      try {
+        await bus.subscribePartitioned('orders', 4, () => null, { concurrency: 2 });
+      } catch (err) {
+        expect(err.message).toBe('Invalid "concurrency" option; partitions are processed one message at a time');
+      }
+    });
+
+    it('throws error when worker option is invalid', async () => {
+      try {
+        await bus.subscribePartitioned('orders', 4, () => null, { worker: { index: 2, count: 2 } });
+      } catch (err) {
+        expect(err.message).toBe('Invalid "worker.index" option; expected integer between 0 and worker.count - 1');
+      }
+    });
 
-        const timestamp = Date.now();
-        await bus.publish(exchange, routingKey, message, {
-          timestamp,
-          type: 'test'
+    describe('@disconnected', () => {
+      it('throws error when disconnected', async () => {
+        try {
+          await bus.assertPartitions('orders', 4);
+        } catch (err) {
+          expect(err.message).toBe('Unable to assert partitions; did you forget to call #connect()');
+        }
+      });
+    });
+
+    describe('@connected', () => {
+      const exchange = uuid.v4();
+      const partitions = 4;
+      let queues;
+
+      beforeAll(async () => {
+        await bus.connect();
+        queues = await bus.assertPartitions(exchange, partitions);
+      });
+      afterAll(async () => {
+        await Promise.each(queues, (queue) => bus.deleteQueue(queue));
+        await bus.deleteExchange(exchange);
+        await bus.disconnect();
+      });
+
+      it('declares a queue per partition', () => {
+        expect(queues).toEqual(Array.from({ length: partitions }, (value, i) => `${exchange}.partition.${i}`));
+      });
+
+      it('throws error when partitionKey is invalid', async () => {
+        try {
+          await bus.publish(exchange, '', { a: 1 }, { partitionKey: 123 });
+        } catch (err) {
+          expect(err.message).toBe('Invalid "partitionKey" property; expected string, received number');
+        }
+      });
+
+      it('throws error when exchange is not partitioned', async () => {
+        const unpartitioned = 'amq.direct';
+        try {
+          await bus.publish(unpartitioned, '', { a: 1 }, { partitionKey: 'foo' });
+        } catch (err) {
+          expect(err.message)
+            .toBe(`Unable to publish to exchange; "${unpartitioned}" is not partitioned, did you forget to call #assertPartitions()`);
+        }
+      });
+
+      it('processes messages of the same key in order, and partitions in parallel', async () => {
+        const active = new Set(); // partitions currently processing a message
+        const overlaps = [];
+        let maxActive = 0;
+        const listener = jest.fn(async (msg) => {
+          const partition = getPartition(msg.partitionKey, partitions);
+          if (active.has(partition)) {
+            overlaps.push(partition);
+          }
+          active.add(partition);
+          maxActive = Math.max(maxActive, active.size);
+          await Promise.delay(5);
+          active.delete(partition);
+        });
+        const unsubscribe = await bus.subscribePartitioned(exchange, partitions, listener, { promise: true });
+
+        const keys = Array.from({ length: 8 }, (value, i) => `order-${i}`);
+        await Promise.each([1, 2, 3], (seq) => Promise.all(keys.map((partitionKey) => {
+          return bus.publish(exchange, '', { partitionKey, seq }, { partitionKey });
+        })));
+        await Promise.delay(500); // required for test case to work
+        await unsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(24);
+        expect(overlaps).toEqual([]);
+        expect(maxActive).toBeGreaterThan(1);
+        keys.forEach((partitionKey) => {
+          const seqs = listener.mock.calls
+            .map(([msg]) => msg)
+            .filter((msg) => msg.partitionKey === partitionKey)
+            .map((msg) => msg.seq);
+          expect(seqs).toEqual([1, 2, 3]);
         });
+      });
+
+      it('spreads partitions across workers', async () => {
+        const otherBus = new MessageBus({ url: RABBITMQ_URL });
+        await otherBus.connect();
+
+        const listeners = [jest.fn(async () => null), jest.fn(async () => null)];
+        const unsubscribes = await Promise.all([bus, otherBus].map((worker, index) => {
+          return worker.subscribePartitioned(exchange, partitions, listeners[index], {
+            promise: true,
+            worker: { index, count: 2 }
+          });
+        }));
 
+        const keys = Array.from({ length: 40 }, (value, i) => `order-${i}`);
+        await Promise.all(keys.map((partitionKey) => bus.publish(exchange, '', { partitionKey }, { partitionKey })));
         await Promise.delay(100); // required for test case to work
-        expect(listener).toHaveBeenCalled();
-        expect(listener.mock.calls[0][0]).toEqual(message);
-        expect(listener.mock.calls[0][1]).toMatchObject({
-          timestamp,
-          type: 'test'
+        await Promise.all(unsubscribes.map((unsubscribe) => unsubscribe()));
+        await otherBus.disconnect();
+
+        listeners.forEach((listener, index) => {
+          expect(listener).toHaveBeenCalled();
+          listener.mock.calls.forEach(([msg]) => {
+            expect(getPartition(msg.partitionKey, partitions) % 2).toBe(index);
+          });
         });
+        expect(listeners[0].mock.calls.length + listeners[1].mock.calls.length).toBe(40);
       });
     });
+  });
 
-    describe('@complex routing', () => {
+  describe('delayed delivery', () => {
+    it('throws error when delayedDelivery is invalid', () => {
+      expect(() => new MessageBus({ url: RABBITMQ_URL, delayedDelivery: 'plugin' }))
+        .toThrowError('Invalid delayedDelivery property; expected "queue" or "exchange"');
+    });
+
+    it('throws error when delay or deliverAt is invalid', async () => {
+      try {
+        await bus.sendToQueue('queue', { a: 1 }, { delay: -1 });
+      } catch (err) {
+        expect(err.message).toBe('Invalid "delay" property; expected non-negative integer');
+      }
+      try {
+        await bus.sendToQueue('queue', { a: 1 }, { deliverAt: '09:00' });
+      } catch (err) {
+        expect(err.message).toBe('Invalid "deliverAt" property; expected Date or integer timestamp, received string');
+      }
+      try {
+        await bus.sendToQueue('queue', { a: 1 }, { delay: 1000, deliverAt: new Date() });
+      } catch (err) {
+        expect(err.message).toBe('Invalid "deliverAt" property; cannot be combined with delay');
+      }
+    });
+
+    it('rounds delays until deliverAt up to the second with delay queues', () => {
+      const now = Date.now();
+      expect(bus.resolveDelay({ deliverAt: new Date(now + 1500) })).toBe(2000);
+      expect(bus.resolveDelay({ deliverAt: now - 1000 })).toBe(0);
+      expect(bus.resolveDelay({ delay: 1500 })).toBe(1500);
+    });
+
+    describe('@queue', () => {
       const exchange = uuid.v4();
-      const queue1 = uuid.v4();
-      const queue2 = uuid.v4();
-      const routingKey1 = 'route.1';
-      const message1 = { a: 1 };
-      const routingKey2 = 'route.2';
-      const message2 = { b: 2 };
+      const queue = uuid.v4();
+      const routingKey = 'reminder.due';
 
       beforeAll(async () => {
         await bus.connect();
-        await bus.assertExchange(exchange, 'topic');
-        await bus.assertQueue(queue1);
-        await bus.bindQueue(queue1, exchange, routingKey1);
-        await bus.assertQueue(queue2);
-        await bus.bindQueue(queue2, exchange, routingKey2);
+        await bus.assertExchange(exchange, 'direct');
+        await bus.assertQueue(queue);
+        await bus.bindQueue(queue, exchange, routingKey);
       });
       afterAll(async () => {
-        await bus.unbindQueue(queue1, exchange, routingKey1);
-        await bus.deleteQueue(queue1);
-        await bus.unbindQueue(queue2, exchange, routingKey2);
-        await bus.deleteQueue(queue2);
+        await bus.deleteQueue(`delay.50.queue.${queue}`);
+        await bus.deleteQueue(`delay.50.exchange.${exchange}`);
+        await bus.deleteExchange(`delay.50.exchange.${exchange}`);
+        await bus.deleteQueue(queue);
         await bus.deleteExchange(exchange);
         await bus.disconnect();
       });
 
-      it('routes message correctly', async () => {
-        const listener1 = jest.fn((msg, props, done) => done());
-        await bus.subscribe(queue1, listener1);
+      it('delivers messages sent to queue once delay elapses', async () => {
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await bus.subscribe(queue, listener);
 
-        const listener2 = jest.fn((msg, props, done) => done());
-        await bus.subscribe(queue2, listener2);
+        await bus.sendToQueue(queue, { a: 1 }, { delay: 50 });
+        await Promise.delay(20);
+        expect(listener).not.toHaveBeenCalled();
 
-        const timestamp = Date.now();
-        await bus.publish(exchange, routingKey1, message1, {
-          timestamp,
-          type: 'test-1'
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0]).toEqual({ a: 1 });
+        expect(bus.topology.queues.has(`delay.50.queue.${queue}`)).toBe(false); // i.e. expires once idle
+      });
+
+      it('delivers messages published to exchange once delay elapses, keeping routing key', async () => {
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await bus.subscribe(queue, listener);
+
+        await bus.publish(exchange, routingKey, { b: 2 }, { delay: 50, type: 'reminder' });
+        await Promise.delay(20);
+        expect(listener).not.toHaveBeenCalled();
+
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0]).toEqual({ b: 2 });
+        expect(listener.mock.calls[0][1].type).toBe('reminder');
+      });
+
+      it('buffers delayed messages while reconnecting', async () => {
+        const offlineBus = new MessageBus({
+          url: RABBITMQ_URL,
+          offlineBuffer: {},
+          reconnect: { initialDelay: 50, maxDelay: 50 }
         });
-        await bus.publish(exchange, routingKey2, message2, {
-          timestamp,
-          type: 'test-2'
+        await offlineBus.connect();
+        await offlineBus.conn.close();
+        expect(offlineBus.reconnection).not.toBe(null);
+
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await bus.subscribe(queue, listener);
+
+        const published = offlineBus.sendToQueue(queue, { d: 4 }, { delay: 50 });
+        expect(offlineBus.offlineBuffer.size).toBe(1);
+
+        await published;
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+        await offlineBus.disconnect();
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0]).toEqual({ d: 4 });
+      });
+
+      it('holds back messages with expiration for the whole delay', async () => {
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await bus.subscribe(queue, listener);
+
+        await bus.sendToQueue(queue, { e: 5 }, { delay: 50, expiration: 10 });
+        await Promise.delay(30);
+        expect(listener).not.toHaveBeenCalled();
+
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0]).toEqual({ e: 5 });
+      });
+
+      it('delivers messages without delay immediately', async () => {
+        await bus.sendToQueue(queue, { c: 3 }, { delay: 0 });
+
+        const { messageCount } = await bus.incomingChannel.checkQueue(queue);
+        expect(messageCount).toBe(1);
+        await bus.incomingChannel.purgeQueue(queue);
+      });
+    });
+
+    describe('@exchange', () => {
+      // delayed message exchange plugin is emulated by the in-memory transport
+      const memoryBus = new MessageBus({ url: `memory://${uuid.v4()}`, delayedDelivery: 'exchange' });
+      const exchange = uuid.v4();
+      const queue = uuid.v4();
+      const routingKey = 'reminder.due';
+
+      beforeAll(async () => {
+        await memoryBus.connect();
+        await memoryBus.assertExchange(exchange, 'direct');
+        await memoryBus.assertQueue(queue);
+        await memoryBus.bindQueue(queue, exchange, routingKey);
+      });
+      afterAll(async () => {
+        await memoryBus.disconnect();
+      });
+
+      it('delivers messages at the designated time', async () => {
+        await memoryBus.sendToQueue(queue, { a: 1 }, { deliverAt: Date.now() + 50 });
+        await memoryBus.publish(exchange, routingKey, { b: 2 }, { delay: 50 });
+        await Promise.delay(20);
+        expect(memoryBus.drainQueue(queue)).toEqual([]);
+
+        await Promise.delay(100); // required for test case to work
+        const drained = memoryBus.drainQueue(queue);
+        expect(drained.map((msg) => msg.message)).toEqual([{ a: 1 }, { b: 2 }]);
+        expect(drained[1].props.headers['x-delay']).toBe(50);
+      });
+
+      it('forgets delayed message exchanges on disconnect()', async () => {
+        await memoryBus.disconnect();
+        expect(memoryBus.topology.exchanges.size).toBe(0);
+        expect(memoryBus.topology.exchangeBindings.size).toBe(0);
+        await memoryBus.connect();
+      });
+    });
+  });
+
+  describe('getPublishedMessages() / drainQueue()', () => {
+    const memoryBus = new MessageBus({ url: `memory://${uuid.v4()}`, encryptionKey: 'keep-it-safe' });
+    const queue = uuid.v4();
+    const message = {
+      a: 1,
+      foo: 'bar'
+    };
+
+    beforeAll(async () => {
+      await memoryBus.connect();
+      await memoryBus.assertQueue(queue);
+    });
+    afterAll(async () => {
+      await memoryBus.disconnect();
+    });
+
+    it('throws error when transport is not in-memory', () => {
+      const amqpBus = new MessageBus({ url: 'amqp://localhost' });
+
+      expect(() => amqpBus.getPublishedMessages())
+        .toThrowError('Unable to get published messages; requires in-memory transport, i.e. "memory://" url');
+      expect(() => amqpBus.drainQueue(queue))
+        .toThrowError('Unable to drain queue; requires in-memory transport, i.e. "memory://" url');
+    });
+
+    it('returns published messages, decoded', async () => {
+      await memoryBus.sendToQueue(queue, message, { type: 'test' });
+
+      const published = memoryBus.getPublishedMessages();
+      expect(published.length).toBe(1);
+      expect(published[0].exchange).toBe('');
+      expect(published[0].routingKey).toBe(queue);
+      expect(published[0].message).toEqual(message);
+      expect(published[0].props.type).toBe('test');
+    });
+
+    it('drains queue synchronously', async () => {
+      await memoryBus.sendToQueue(queue, { b: 2 });
+
+      const drained = memoryBus.drainQueue(queue);
+      expect(drained.map((msg) => msg.message)).toEqual([message, { b: 2 }]);
+      expect(drained[0].props.type).toBe('test');
+      expect(memoryBus.drainQueue(queue)).toEqual([]);
+    });
+  });
+
+  describe('reconnect()', () => {
+    const queue = uuid.v4();
+    const message = {
+      a: 1,
+      foo: 'bar'
+    };
+
+    beforeAll(async () => {
+      await bus.connect();
+      await bus.assertQueue(queue, { exclusive: true }); // exclusive queue is deleted when connection closes
+    });
+    afterAll(async () => {
+      await bus.disconnect();
+    });
+
+    it('restores topology and consumers after connection loss', async () => {
+      const listener = jest.fn((msg, props, done) => done());
+      const unsubscribe = await bus.subscribe(queue, listener);
+
+      await bus.conn.close();
+      await Promise.delay(1500); // wait for reconnect
+
+      await bus.sendToQueue(queue, message);
+      await Promise.delay(100); // required for test case to work
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0]).toEqual(message);
+
+      await unsubscribe();
+      expect(bus.consumers.size).toBe(0);
+    });
+
+    it('drops consumers of queues lost along with the connection', async () => {
+      const exchange = uuid.v4();
+      const tempBus = new MessageBus({
+        url: RABBITMQ_URL,
+        reconnect: { initialDelay: 10, maxDelay: 20 }
+      });
+      await tempBus.connect();
+      await tempBus.assertExchange(exchange, 'fanout');
+      const { queue: serverNamedQueue } = await tempBus.assertQueue('', { exclusive: true });
+      await tempBus.bindQueue(serverNamedQueue, exchange, '');
+      await tempBus.subscribe(serverNamedQueue, (msg, props, done) => done());
+
+      const cancelledListener = jest.fn();
+      const reconnectedListener = jest.fn();
+      tempBus.on('consumerCancelled', cancelledListener);
+      tempBus.on('reconnected', reconnectedListener);
+
+      await tempBus.conn.close();
+      await Promise.delay(100); // wait for reconnect
+
+      expect(reconnectedListener).toHaveBeenCalledTimes(1);
+      expect(cancelledListener).toHaveBeenCalledTimes(1);
+      expect(cancelledListener.mock.calls[0][1]).toBe(serverNamedQueue);
+      expect(tempBus.consumers.size).toBe(0);
+
+      await tempBus.deleteExchange(exchange);
+      await tempBus.disconnect();
+    });
+
+    describe('@unreachable server', () => {
+      const unreachableBus = new MessageBus({
+        url: RABBITMQ_URL,
+        reconnect: { initialDelay: 10, maxDelay: 20, maxAttempts: 3 }
+      });
+
+      afterAll(async () => {
+        await unreachableBus.disconnect();
+      });
+
+      it('gives up after max attempts', async () => {
+        await unreachableBus.connect();
+        unreachableBus.createConnection = jest.fn(() => Promise.reject(new Error('connect ECONNREFUSED')));
+        const listener = jest.fn();
+        unreachableBus.on('reconnectFailed', listener);
+
+        await unreachableBus.conn.close();
+        try {
+          await unreachableBus.connect(); // waits for pending reconnection
+        } catch (err) {
+          expect(err.message).toBe('Unable to reconnect to AMQP server after 3 attempt(s); connect ECONNREFUSED');
+        }
+
+        expect(unreachableBus.createConnection).toHaveBeenCalledTimes(3);
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(unreachableBus.conn).toBe(null);
+        expect(unreachableBus.reconnection).toBe(null);
+      });
+
+      it('restores consumers on connect() after giving up', async () => {
+        const failingBus = new MessageBus({
+          url: RABBITMQ_URL,
+          reconnect: { initialDelay: 10, maxDelay: 20, maxAttempts: 1 }
         });
+        const failingQueue = uuid.v4();
+        const { createConnection } = failingBus;
+
+        await failingBus.connect();
+        await failingBus.assertQueue(failingQueue);
+        const listener = jest.fn((msg, props, done) => done());
+        await failingBus.subscribe(failingQueue, listener);
+
+        failingBus.createConnection = jest.fn(() => Promise.reject(new Error('connect ECONNREFUSED')));
+        await failingBus.conn.close();
+        await failingBus.reconnection.promise.catch(() => null);
+
+        failingBus.createConnection = createConnection;
+        await failingBus.connect();
+        await failingBus.sendToQueue(failingQueue, message);
         await Promise.delay(100); // required for test case to work
 
-        expect(listener1).toHaveBeenCalled();
-        expect(listener1.mock.calls[0][0]).toEqual(message1);
-        expect(listener1.mock.calls[0][1]).toMatchObject({
-          timestamp,
-          type: 'test-1'
+        expect(listener).toHaveBeenCalledTimes(1);
+        await failingBus.deleteQueue(failingQueue);
+        await failingBus.disconnect();
+        expect(failingBus.consumers.size).toBe(0);
+      });
+    });
+
+    describe('@offline buffer', () => {
+      const offlineQueue = uuid.v4();
+      const offlineBus = new MessageBus({
+        url: RABBITMQ_URL,
+        offlineBuffer: { maxSize: 3, ttl: 1000 },
+        reconnect: { initialDelay: 50, maxDelay: 50 }
+      });
+
+      beforeAll(async () => {
+        await bus.connect();
+        await bus.assertQueue(offlineQueue);
+      });
+      afterAll(async () => {
+        await offlineBus.disconnect();
+        await bus.deleteQueue(offlineQueue);
+      });
+
+      it('buffers messages published before connecting', async () => {
+        const published = Promise.all([
+          offlineBus.sendToQueue(offlineQueue, { i: 1 }),
+          offlineBus.sendToQueue(offlineQueue, { i: 2 })
+        ]);
+        expect(offlineBus.offlineBuffer.size).toBe(2);
+
+        await offlineBus.connect();
+        await published;
+        expect(offlineBus.offlineBuffer.size).toBe(0);
+
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await offlineBus.subscribe(offlineQueue, listener);
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(listener.mock.calls.map(([msg]) => msg)).toEqual([{ i: 1 }, { i: 2 }]);
+      });
+
+      it('buffers messages while reconnecting and sends them in order', async () => {
+        await offlineBus.connect();
+        await offlineBus.conn.close();
+        expect(offlineBus.reconnection).not.toBe(null);
+
+        const published = Promise.all([
+          offlineBus.sendToQueue(offlineQueue, { i: 3 }),
+          offlineBus.publish('', offlineQueue, { i: 4 }),
+          offlineBus.sendToQueue(offlineQueue, { i: 5 })
+        ]);
+
+        try {
+          await offlineBus.sendToQueue(offlineQueue, { i: 6 }, { messageId: 'overflow' });
+          throw new Error('Should not reach this point');
+        } catch (err) {
+          expect(err.message).toBe('Unable to publish message overflow; offline buffer is full');
+        }
+
+        await published;
+
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await offlineBus.subscribe(offlineQueue, listener);
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+
+        expect(listener.mock.calls.map(([msg]) => msg)).toEqual([{ i: 3 }, { i: 4 }, { i: 5 }]);
+      });
+
+      it('keeps sending buffered messages after one closes the channel', async () => {
+        const otherBus = new MessageBus({
+          url: RABBITMQ_URL,
+          offlineBuffer: {}
         });
 
-        expect(listener2).toHaveBeenCalled();
-        expect(listener2.mock.calls[0][0]).toEqual(message2);
-        expect(listener2.mock.calls[0][1]).toMatchObject({
-          timestamp,
-          type: 'test-2'
+        const failed = otherBus.publish(uuid.v4(), 'route.a', { i: 6 }).catch((err) => err);
+        const published = Promise.all([
+          otherBus.sendToQueue(offlineQueue, { i: 7 }),
+          otherBus.sendToQueue(offlineQueue, { i: 8 })
+        ]);
+        await otherBus.connect();
+
+        expect((await failed).message).toMatch(/404/);
+        await published;
+        expect(otherBus.offlineBuffer.size).toBe(0);
+
+        const listener = jest.fn((msg, props, done) => done());
+        const unsubscribe = await otherBus.subscribe(offlineQueue, listener);
+        await Promise.delay(100); // required for test case to work
+        await unsubscribe();
+        await otherBus.disconnect();
+
+        expect(listener.mock.calls.map(([msg]) => msg)).toEqual([{ i: 7 }, { i: 8 }]);
+      });
+
+      it('rejects messages exceeding ttl', async () => {
+        const shortBus = new MessageBus({
+          url: RABBITMQ_URL,
+          offlineBuffer: { ttl: 50 }
+        });
+
+        try {
+          await shortBus.sendToQueue(offlineQueue, { i: 7 }, { messageId: 'expired' });
+          throw new Error('Should not reach this point');
+        } catch (err) {
+          expect(err.message).toBe('Unable to publish message expired; expired after 50 ms in offline buffer');
+        }
+      });
+    });
+
+    describe('@disconnect', () => {
+      const slowBus = new MessageBus({
+        url: RABBITMQ_URL,
+        reconnect: { initialDelay: 60000, maxDelay: 60000 }
+      });
+
+      it('cancels pending reconnection', async () => {
+        await slowBus.connect();
+        await slowBus.conn.close();
+        expect(slowBus.reconnection).not.toBe(null);
+
+        const reconnection = slowBus.reconnection.promise;
+        await slowBus.disconnect();
+        await reconnection;
+        expect(slowBus.reconnection).toBe(null);
+        expect(slowBus.conn).toBe(null);
+      });
+
+      it('connects after cancelling reconnection in progress', async () => {
+        const pendingBus = new MessageBus({
+          url: RABBITMQ_URL,
+          reconnect: { initialDelay: 10, maxDelay: 10 }
+        });
+        const { createConnection } = pendingBus;
+
+        await pendingBus.connect();
+        pendingBus.createConnection = jest.fn(async () => {
+          await Promise.delay(100); // i.e. slow server
+          return createConnection.call(pendingBus);
         });
+        await pendingBus.conn.close();
+        await Promise.delay(50); // i.e. reconnection attempt in progress
+
+        await pendingBus.disconnect();
+        expect(pendingBus.reconnection).toBe(null);
+        expect(pendingBus.conn).toBe(null);
+
+        pendingBus.createConnection = createConnection;
+        await pendingBus.connect();
+        expect(pendingBus.conn).not.toBe(null);
+
+        const { queue: assertedQueue } = await pendingBus.assertQueue('', { exclusive: true });
+        expect(assertedQueue).toBeTruthy();
+        await pendingBus.disconnect();
       });
     });
   });
@@ -0,0 +1,226 @@
+import fs from 'fs';
+import Promise from 'bluebird';
+import uuid from 'uuid';
+
+class OfflineBuffer {
+  /**
+   * Constructs new buffer of outgoing messages, holding them while the message bus is disconnected.
+   * @param {Object} options
+   * @property {number} options.maxSize max number of buffered messages
+   * @property {number} options.ttl max time a message may wait in the buffer, in milliseconds
+   * @property {string} [options.file] path of append-only file to persist buffered messages to, thus they survive restarts
+   * @param {Function} onError function(err) {}, called when a message restored from file fails, as nobody awaits it
+   * @constructor
+   */
+  constructor(options, onError) {
+    const { maxSize, ttl, file = null } = options;
+
+    this.maxSize = maxSize;
+    this.ttl = ttl;
+    this.file = file;
+    this.onError = onError;
+    this.entries = [];
+
+    if (file !== null) {
+      this.load();
+    }
+  }
+
+  /**
+   * Number of buffered messages.
+   * @type {number}
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Adds the supplied message to the buffer.
+   * @param {Object} message
+   * @property {string} message.exchange
+   * @property {string} message.routingKey
+   * @property {Buffer} message.content encoded message body
+   * @property {Object} message.options message properties
+   * @property {number} [message.delay=0] time to hold the message back once sent, in milliseconds
+   * @returns {Promise} resolving once the message is sent and confirmed, or rejecting if it expires or fails
+   */
+  push(message) {
+    const { messageId } = message.options;
+
+    if (this.entries.length >= this.maxSize) {
+      return Promise.reject(new Error(`Unable to publish message ${messageId}; offline buffer is full`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = Object.assign({
+        id: uuid.v4(),
+        bufferedAt: Date.now(),
+        delay: 0,
+        resolve,
+        reject
+      }, message);
+
+      this.add(entry);
+      this.append({
+        op: 'add',
+        id: entry.id,
+        bufferedAt: entry.bufferedAt,
+        exchange: entry.exchange,
+        routingKey: entry.routingKey,
+        content: entry.content.toString('base64'),
+        options: entry.options,
+        delay: entry.delay
+      });
+    });
+  }
+
+  /**
+   * Returns the oldest buffered message, without removing it.
+   * @returns {Object|null}
+   */
+  peek() {
+    return this.entries.length === 0 ? null : this.entries[0];
+  }
+
+  /**
+   * Removes the supplied entry from the buffer, settling the corresponding publish.
+   * @param {Object} entry
+   * @param {Error} [err] the reason the message failed; resolves the publish if unspecified
+   */
+  remove(entry, err = null) {
+    const index = this.entries.indexOf(entry);
+
+    if (index === -1) {
+      return; // exit
+    }
+
+    this.entries.splice(index, 1);
+    clearTimeout(entry.timer);
+    this.append({ op: 'remove', id: entry.id });
+
+    if (err) {
+      entry.reject(err);
+    } else {
+      entry.resolve();
+    }
+  }
+
+  /**
+   * Marks the supplied entry as being sent, thus it does not expire while awaiting confirmation.
+   * @param {Object} entry
+   */
+  lock(entry) {
+    entry.isSending = true;
+  }
+
+  /**
+   * Marks the supplied entry as no longer being sent, e.g. because connection was lost; expires it if overdue.
+   * @param {Object} entry
+   */
+  release(entry) {
+    entry.isSending = false;
+
+    if (Date.now() - entry.bufferedAt >= this.ttl) {
+      this.expire(entry);
+    }
+  }
+
+  /**
+   * Removes all entries from the buffer, failing the corresponding publishes.
+   * @param {Error} err
+   */
+  clear(err) {
+    this.entries.slice().forEach((entry) => this.remove(entry, err));
+  }
+
+  /**
+   * Adds the supplied entry to the buffer, scheduling its expiration.
+   * @param {Object} entry
+   */
+  add(entry) {
+    entry.isSending = false;
+    const remaining = (entry.bufferedAt + this.ttl) - Date.now();
+    entry.timer = setTimeout(() => this.expire(entry), Math.max(remaining, 0));
+    this.entries.push(entry);
+  }
+
+  /**
+   * Fails the supplied entry as expired, unless it is being sent.
+   * @param {Object} entry
+   */
+  expire(entry) {
+    if (entry.isSending) {
+      return; // exit
+    }
+
+    const { messageId } = entry.options;
+    this.remove(entry, new Error(`Unable to publish message ${messageId}; expired after ${this.ttl} ms in offline buffer`));
+  }
+
+  /**
+   * Appends the supplied record to the buffer file, if any.
+   * The file is truncated once the buffer is empty, to keep it from growing indefinitely.
+   * @param {Object} record
+   */
+  append(record) {
+    if (this.file === null) {
+      return; // exit
+    }
+
+    if (this.entries.length === 0) {
+      fs.writeFileSync(this.file, '');
+      return; // exit
+    }
+
+    fs.appendFileSync(this.file, `${JSON.stringify(record)}\n`);
+  }
+
+  /**
+   * Restores the messages recorded in the buffer file, if any, and compacts the file.
+   */
+  load() {
+    let data;
+    try {
+      data = fs.readFileSync(this.file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return; // exit
+      }
+      throw err;
+    }
+
+    const records = new Map();
+    data.split('\n').forEach((line) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        return; // e.g. empty or partially written line
+      }
+
+      if (record.op === 'add') {
+        records.set(record.id, record);
+      } else {
+        records.delete(record.id);
+      }
+    });
+
+    records.forEach((record) => {
+      this.add({
+        id: record.id,
+        bufferedAt: record.bufferedAt,
+        exchange: record.exchange,
+        routingKey: record.routingKey,
+        content: Buffer.from(record.content, 'base64'),
+        options: record.options,
+        delay: record.delay,
+        resolve: () => {},
+        reject: this.onError
+      });
+    });
+
+    fs.writeFileSync(this.file, Array.from(records.values()).map((record) => `${JSON.stringify(record)}\n`).join(''));
+  }
+}
+
+export default OfflineBuffer;
@@ -0,0 +1,130 @@
+/* eslint-env jest */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Promise from 'bluebird';
+import uuid from 'uuid';
+import OfflineBuffer from './OfflineBuffer';
+
+describe('OfflineBuffer', () => {
+  const createMessage = (messageId) => ({
+    exchange: '',
+    routingKey: 'queue',
+    content: Buffer.from(messageId),
+    options: { messageId }
+  });
+
+  // pushes the supplied message, ignoring rejections unless awaited
+  const push = (buffer, messageId) => {
+    const promise = buffer.push(createMessage(messageId));
+    promise.catch(() => null);
+    return promise;
+  };
+
+  describe('push()', () => {
+    it('holds messages in order until removed', async () => {
+      const buffer = new OfflineBuffer({ maxSize: 10, ttl: 1000 });
+      const first = push(buffer, 'a');
+      push(buffer, 'b');
+
+      expect(buffer.size).toBe(2);
+      expect(buffer.peek().options.messageId).toBe('a');
+
+      buffer.remove(buffer.peek());
+      await first;
+      expect(buffer.peek().options.messageId).toBe('b');
+      buffer.clear(new Error('Cleared'));
+    });
+
+    it('rejects messages once full', async () => {
+      const buffer = new OfflineBuffer({ maxSize: 1, ttl: 1000 });
+      push(buffer, 'a');
+
+      try {
+        await push(buffer, 'b');
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        expect(err.message).toBe('Unable to publish message b; offline buffer is full');
+      }
+
+      expect(buffer.size).toBe(1);
+      buffer.clear(new Error('Cleared'));
+    });
+
+    it('rejects messages exceeding ttl', async () => {
+      const buffer = new OfflineBuffer({ maxSize: 10, ttl: 20 });
+
+      try {
+        await push(buffer, 'a');
+        throw new Error('Should not reach this point');
+      } catch (err) {
+        expect(err.message).toBe('Unable to publish message a; expired after 20 ms in offline buffer');
+      }
+
+      expect(buffer.size).toBe(0);
+    });
+
+    it('does not expire messages being sent', async () => {
+      const buffer = new OfflineBuffer({ maxSize: 10, ttl: 20 });
+      const promise = push(buffer, 'a');
+      buffer.lock(buffer.peek());
+
+      await Promise.delay(50);
+      expect(buffer.size).toBe(1);
+
+      buffer.release(buffer.peek());
+      expect(buffer.size).toBe(0);
+      await expect(promise).rejects.toBeInstanceOf(Error);
+    });
+  });
+
+  describe('@file', () => {
+    const file = path.join(os.tmpdir(), `${uuid.v4()}.log`);
+
+    afterAll(() => {
+      fs.unlinkSync(file);
+    });
+
+    it('restores messages from file', async () => {
+      const buffer = new OfflineBuffer({ maxSize: 10, ttl: 1000, file });
+      push(buffer, 'a');
+      push(buffer, 'b');
+      push(buffer, 'c');
+      buffer.push(Object.assign(createMessage('d'), { delay: 5000 })).catch(() => null);
+      buffer.remove(buffer.peek());
+
+      const restored = new OfflineBuffer({ maxSize: 10, ttl: 1000, file }, () => null);
+      expect(restored.size).toBe(3);
+      expect(restored.entries.map((entry) => entry.content.toString())).toEqual(['b', 'c', 'd']);
+      expect(restored.entries.map((entry) => entry.delay)).toEqual([0, 0, 5000]);
+      expect(restored.peek().options).toEqual({ messageId: 'b' });
+
+      buffer.clear(new Error('Cleared'));
+      restored.clear(new Error('Cleared'));
+    });
+
+    it('truncates file once empty', async () => {
+      const buffer = new OfflineBuffer({ maxSize: 10, ttl: 1000, file });
+      push(buffer, 'a');
+      expect(fs.readFileSync(file, 'utf8')).not.toBe('');
+
+      buffer.remove(buffer.peek());
+      expect(fs.readFileSync(file, 'utf8')).toBe('');
+    });
+
+    it('reports failure of restored messages via onError', async () => {
+      const buffer = new OfflineBuffer({ maxSize: 10, ttl: 20, file });
+      push(buffer, 'a');
+
+      const onError = jest.fn();
+      const restored = new OfflineBuffer({ maxSize: 10, ttl: 20, file }, onError);
+      await Promise.delay(50);
+
+      expect(restored.size).toBe(0);
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(onError.mock.calls[0][0].message)
+        .toBe('Unable to publish message a; expired after 20 ms in offline buffer');
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import Promise from 'bluebird';
+
+class Outbox {
+  /**
+   * Constructs new outbox, collecting the messages published while processing an incoming message.
+   * Collected messages are sent once the listener is done, and before the incoming message is acknowledged.
+   * @param {MessageBus} bus message bus to send collected messages with
+   * @constructor
+   */
+  constructor(bus) {
+    this.bus = bus;
+    this.messages = [];
+    this.isClosed = false;
+  }
+
+  /**
+   * Collects the supplied message, to be published to the given exchange.
+   * @param {string} exchange
+   * @param {string} routingKey
+   * @param {*} message
+   * @param {Object} [props] message properties, as in MessageBus#publish()
+   */
+  publish(exchange, routingKey, message, props = {}) {
+    this.collect('publish', [exchange, routingKey, message, props]);
+  }
+
+  /**
+   * Collects the supplied message, to be sent to the given queue.
+   * @param {string} queue
+   * @param {*} message
+   * @param {Object} [props] message properties, as in MessageBus#publish()
+   */
+  sendToQueue(queue, message, props = {}) {
+    this.collect('sendToQueue', [queue, message, props]);
+  }
+
+  /**
+   * Collects the supplied message bus method call.
+   * @param {string} method either "publish" or "sendToQueue"
+   * @param {Array} args
+   */
+  collect(method, args) {
+    if (this.isClosed) {
+      throw new Error(`Unable to ${method} via outbox; incoming message is already settled`);
+    }
+
+    this.messages.push({ method, args });
+  }
+
+  /**
+   * Sends the collected messages in order, waiting for the server to confirm each.
+   * @returns {Promise} resolving once all messages are confirmed, or rejecting with the first failure
+   */
+  flush() {
+    this.isClosed = true;
+    return Promise.each(this.messages, ({ method, args }) => this.bus[method](...args));
+  }
+
+  /**
+   * Discards the collected messages, e.g. because the listener failed.
+   */
+  discard() {
+    this.isClosed = true;
+    this.messages = [];
+  }
+}
+
+export default Outbox;
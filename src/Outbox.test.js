@@ -0,0 +1,60 @@
+/* eslint-env jest */
+
+import Promise from 'bluebird';
+import Outbox from './Outbox';
+
+describe('Outbox', () => {
+  const createBus = () => ({
+    publish: jest.fn(() => Promise.delay(10)),
+    sendToQueue: jest.fn(() => Promise.delay(10))
+  });
+
+  it('sends collected messages in order on flush', async () => {
+    const bus = createBus();
+    const calls = [];
+    bus.publish.mockImplementation((...args) => Promise.delay(10).then(() => calls.push(['publish', ...args])));
+    bus.sendToQueue.mockImplementation((...args) => Promise.delay(1).then(() => calls.push(['sendToQueue', ...args])));
+
+    const outbox = new Outbox(bus);
+    outbox.publish('exchange', 'key', { a: 1 });
+    outbox.sendToQueue('queue', { b: 2 }, { type: 'b' });
+    expect(bus.publish).not.toHaveBeenCalled();
+
+    await outbox.flush();
+    expect(calls).toEqual([
+      ['publish', 'exchange', 'key', { a: 1 }, {}],
+      ['sendToQueue', 'queue', { b: 2 }, { type: 'b' }]
+    ]);
+  });
+
+  it('rejects with the first failure, skipping the rest', async () => {
+    const bus = createBus();
+    bus.publish.mockImplementation(() => Promise.reject(new Error('message nacked')));
+
+    const outbox = new Outbox(bus);
+    outbox.publish('exchange', 'key', { a: 1 });
+    outbox.sendToQueue('queue', { b: 2 });
+
+    try {
+      await outbox.flush();
+      throw new Error('Should not reach this point');
+    } catch (err) {
+      expect(err.message).toBe('message nacked');
+    }
+    expect(bus.sendToQueue).not.toHaveBeenCalled();
+  });
+
+  it('throws error when collecting after flush or discard', async () => {
+    const outbox = new Outbox(createBus());
+    await outbox.flush();
+    expect(() => outbox.publish('exchange', 'key', { a: 1 }))
+      .toThrowError('Unable to publish via outbox; incoming message is already settled');
+
+    const otherOutbox = new Outbox(createBus());
+    otherOutbox.sendToQueue('queue', { b: 2 });
+    otherOutbox.discard();
+    expect(otherOutbox.messages).toEqual([]);
+    expect(() => otherOutbox.sendToQueue('queue', { b: 2 }))
+      .toThrowError('Unable to sendToQueue via outbox; incoming message is already settled');
+  });
+});
@@ -0,0 +1,113 @@
+import isString from 'lodash/isString';
+import isFunction from 'lodash/isFunction';
+import isPlainObject from 'lodash/isPlainObject';
+import typeOf from 'typeof';
+import matchTopic from './topic';
+
+class Router {
+  /**
+   * Constructs new router, dispatching messages to handlers by message type.
+   * @param {MessageBus} [bus] message bus to subscribe with; required for #subscribe()
+   * @param {string} [queue] queue to subscribe to; required for #subscribe()
+   * @constructor
+   */
+  constructor(bus = null, queue = null) {
+    this.bus = bus;
+    this.queue = queue;
+    this.handlers = new Map();
+    this.fallbackHandler = null;
+  }
+
+  /**
+   * Creates new router from the supplied routes spec.
+   * @param {Object} spec
+   * @property {Object<string, Function>} spec.handlers handlers by message type or pattern
+   * @property {Function} [spec.fallback] handler of messages not matching any other handler
+   * @returns {Router}
+   */
+  static from(spec) {
+    const { handlers = {}, fallback = null } = spec;
+
+    if (!isPlainObject(handlers)) {
+      throw new TypeError(`Invalid handlers; expected plain object, received ${typeOf(handlers)}`);
+    }
+
+    const router = new Router();
+    Object.keys(handlers).forEach((pattern) => router.on(pattern, handlers[pattern]));
+    if (fallback !== null) {
+      router.fallback(fallback);
+    }
+
+    return router;
+  }
+
+  /**
+   * Registers the supplied handler for messages of the designated type.
+   * @param {string} pattern message type or topic-style pattern, e.g. "user.*" or "order.#"
+   * @param {Function} handler with the same signature as the subscription listener
+   * @returns {Router} to allow method chaining
+   */
+  on(pattern, handler) {
+    if (!isString(pattern)) {
+      throw new TypeError(`Invalid pattern; expected string, received ${typeOf(pattern)}`);
+    }
+    if (!isFunction(handler)) {
+      throw new TypeError(`Invalid handler for "${pattern}"; expected function, received ${typeOf(handler)}`);
+    }
+
+    this.handlers.set(pattern, handler);
+    return this;
+  }
+
+  /**
+   * Registers the supplied handler for messages not matching any other handler.
+   * @param {Function} handler with the same signature as the subscription listener
+   * @returns {Router} to allow method chaining
+   */
+  fallback(handler) {
+    if (!isFunction(handler)) {
+      throw new TypeError(`Invalid fallback handler; expected function, received ${typeOf(handler)}`);
+    }
+
+    this.fallbackHandler = handler;
+    return this;
+  }
+
+  /**
+   * Returns the handler of messages of the designated type.
+   * Exact matches take precedence over patterns; patterns are tried in registration order.
+   * @param {string} [type] message type
+   * @returns {Function|null} handler, or null if message is unhandled
+   */
+  resolve(type) {
+    if (isString(type)) {
+      if (this.handlers.has(type)) {
+        return this.handlers.get(type);
+      }
+
+      const match = Array.from(this.handlers).find(([pattern]) => matchTopic(pattern, type));
+      if (match) {
+        return match[1];
+      }
+    }
+
+    return this.fallbackHandler;
+  }
+
+  /**
+   * Subscribes to the router's queue, dispatching messages to the registered handlers.
+   * Handlers may be registered after subscribing too.
+   * @param {Object} [options] subscription options, as in MessageBus#subscribe()
+   * @returns {Promise<Function>} resolving to an unsubscribe method
+   */
+  subscribe(options = {}) {
+    if (this.bus === null) {
+      const err = new Error('Unable to subscribe; router is not bound to a queue, did you create it via #route()');
+      return Promise.reject(err);
+    }
+
+    return this.bus.subscribe(this.queue, this, options);
+  }
+}
+
+export default Router;
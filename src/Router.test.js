@@ -0,0 +1,88 @@
+/* eslint-env jest */
+
+import Router from './Router';
+
+describe('Router', () => {
+  const handler = () => null;
+  const otherHandler = () => null;
+
+  describe('on()', () => {
+    it('throws error when pattern is invalid', () => {
+      expect(() => new Router().on(123, handler))
+        .toThrowError('Invalid pattern; expected string, received number');
+    });
+
+    it('throws error when handler is invalid', () => {
+      expect(() => new Router().on('user.created', 'abc'))
+        .toThrowError('Invalid handler for "user.created"; expected function, received string');
+    });
+
+    it('returns router to allow method chaining', () => {
+      const router = new Router();
+      expect(router.on('user.created', handler)).toBe(router);
+      expect(router.fallback(handler)).toBe(router);
+    });
+  });
+
+  describe('resolve()', () => {
+    it('resolves handler by exact type', () => {
+      const router = new Router()
+        .on('user.created', handler)
+        .on('user.deleted', otherHandler);
+      expect(router.resolve('user.created')).toBe(handler);
+      expect(router.resolve('user.deleted')).toBe(otherHandler);
+    });
+
+    it('resolves handler by pattern, in registration order', () => {
+      const router = new Router()
+        .on('user.*', handler)
+        .on('#', otherHandler);
+      expect(router.resolve('user.created')).toBe(handler);
+      expect(router.resolve('user.created.v2')).toBe(otherHandler);
+      expect(router.resolve('order')).toBe(otherHandler);
+    });
+
+    it('prefers exact type over pattern', () => {
+      const router = new Router()
+        .on('user.*', handler)
+        .on('user.created', otherHandler);
+      expect(router.resolve('user.created')).toBe(otherHandler);
+    });
+
+    it('falls back to fallback handler', () => {
+      const router = new Router().on('user.created', handler);
+      expect(router.resolve('order.placed')).toBe(null);
+      expect(router.resolve(undefined)).toBe(null);
+
+      router.fallback(otherHandler);
+      expect(router.resolve('order.placed')).toBe(otherHandler);
+      expect(router.resolve(undefined)).toBe(otherHandler);
+    });
+  });
+
+  describe('from()', () => {
+    it('creates router from handlers spec', () => {
+      const router = Router.from({
+        handlers: { 'user.created': handler },
+        fallback: otherHandler
+      });
+      expect(router.resolve('user.created')).toBe(handler);
+      expect(router.resolve('user.deleted')).toBe(otherHandler);
+    });
+
+    it('throws error when handlers are invalid', () => {
+      expect(() => Router.from({ handlers: 'abc' }))
+        .toThrowError('Invalid handlers; expected plain object, received string');
+    });
+  });
+
+  describe('subscribe()', () => {
+    it('throws error when router is not bound to a queue', async () => {
+      try {
+        await new Router().subscribe();
+      } catch (err) {
+        expect(err.message).toBe('Unable to subscribe; router is not bound to a queue, did you create it via #route()');
+      }
+    });
+  });
+});
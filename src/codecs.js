@@ -0,0 +1,80 @@
+import isString from 'lodash/isString';
+import typeOf from 'typeof';
+import msgpackLite from 'msgpack-lite';
+
+export const DEFAULT_CONTENT_TYPE = 'application/json';
+
+/**
+ * Encodes any JSON serializable value, incl. Object and Array, as UTF-8 JSON.
+ */
+export const json = {
+  encode(payload) {
+    return Buffer.from(JSON.stringify(payload), 'utf8');
+  },
+  decode(buf) {
+    return JSON.parse(buf.toString('utf8'));
+  }
+};
+
+/**
+ * Passes raw Buffer payloads through, as is.
+ */
+export const binary = {
+  encode(payload) {
+    if (!Buffer.isBuffer(payload)) {
+      throw new TypeError(`Invalid message; expected Buffer, received ${typeOf(payload)}`);
+    }
+    return payload;
+  },
+  decode(buf) {
+    return buf;
+  }
+};
+
+/**
+ * Encodes string payloads as UTF-8 text.
+ */
+export const text = {
+  encode(payload) {
+    if (!isString(payload)) {
+      throw new TypeError(`Invalid message; expected string, received ${typeOf(payload)}`);
+    }
+    return Buffer.from(payload, 'utf8');
+  },
+  decode(buf) {
+    return buf.toString('utf8');
+  }
+};
+
+/**
+ * Encodes payloads as MessagePack; unlike JSON, Buffer and Date values survive the round-trip.
+ */
+export const msgpack = {
+  encode(payload) {
+    return msgpackLite.encode(payload);
+  },
+  decode(buf) {
+    return msgpackLite.decode(buf);
+  }
+};
+
+/**
+ * Built-in codecs by content type.
+ */
+export const builtins = {
+  'application/json': json,
+  'application/octet-stream': binary,
+  'text/plain': text,
+  'application/msgpack': msgpack,
+  'application/x-msgpack': msgpack
+};
+
+/**
+ * Returns the MIME type of the supplied content type, lower-cased and stripped of any parameters,
+ * e.g. "text/plain" for "Text/Plain; charset=utf-8".
+ * @param {string} contentType
+ * @returns {string}
+ */
+export function parseContentType(contentType) {
+  return contentType.split(';')[0].trim().toLowerCase();
+}
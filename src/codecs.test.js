@@ -0,0 +1,63 @@
+/* eslint-env jest */
+
+import {
+  json,
+  binary,
+  text,
+  msgpack,
+  parseContentType
+} from './codecs';
+
+describe('codecs', () => {
+  describe('json', () => {
+    it('encodes payload as UTF-8 JSON', () => {
+      const buf = json.encode({ a: 1, foo: 'bar' });
+      expect(buf.toString('utf8')).toBe('{"a":1,"foo":"bar"}');
+      expect(json.decode(buf)).toEqual({ a: 1, foo: 'bar' });
+    });
+  });
+
+  describe('binary', () => {
+    it('passes Buffer through, as is', () => {
+      const buf = Buffer.from([1, 2, 3]);
+      expect(binary.encode(buf)).toBe(buf);
+      expect(binary.decode(buf)).toBe(buf);
+    });
+
+    it('throws error when payload is not a Buffer', () => {
+      expect(() => binary.encode('abc'))
+        .toThrowError('Invalid message; expected Buffer, received string');
+    });
+  });
+
+  describe('text', () => {
+    it('encodes payload as UTF-8 text', () => {
+      const buf = text.encode('καλημέρα');
+      expect(buf.equals(Buffer.from('καλημέρα', 'utf8'))).toBe(true);
+      expect(text.decode(buf)).toBe('καλημέρα');
+    });
+
+    it('throws error when payload is not a string', () => {
+      expect(() => text.encode(123))
+        .toThrowError('Invalid message; expected string, received number');
+    });
+  });
+
+  describe('msgpack', () => {
+    it('preserves Buffer and Date values', () => {
+      const payload = {
+        a: 1,
+        buf: Buffer.from([1, 2, 3]),
+        date: new Date('2017-12-01T10:00:00.000Z')
+      };
+      expect(msgpack.decode(msgpack.encode(payload))).toEqual(payload);
+    });
+  });
+
+  describe('parseContentType()', () => {
+    it('strips parameters and normalizes case', () => {
+      expect(parseContentType('Text/Plain; charset=utf-8')).toBe('text/plain');
+      expect(parseContentType('application/json')).toBe('application/json');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import zlib from 'zlib';
+
+/**
+ * Supported compression algorithms, by name.
+ * Each algorithm is recorded in the contentEncoding message property, using its HTTP content-coding token.
+ */
+export const ALGORITHMS = {
+  gzip: {
+    encoding: 'gzip',
+    compress: (buf) => zlib.gzipSync(buf),
+    decompress: (buf) => zlib.gunzipSync(buf)
+  },
+  deflate: {
+    encoding: 'deflate',
+    compress: (buf) => zlib.deflateSync(buf),
+    decompress: (buf) => zlib.inflateSync(buf)
+  },
+  brotli: {
+    encoding: 'br',
+    compress: (buf) => zlib.brotliCompressSync(buf),
+    decompress: (buf) => zlib.brotliDecompressSync(buf)
+  }
+};
+
+const ENCODINGS = Object.keys(ALGORITHMS).reduce((accumulator, name) => {
+  const algorithm = ALGORITHMS[name];
+  accumulator[algorithm.encoding] = algorithm;
+  return accumulator;
+}, {});
+
+/**
+ * Indicates whether the designated algorithm is supported by the current Node.js version,
+ * e.g. brotli requires Node.js v.11.7+.
+ * @param {string} name algorithm name
+ * @returns {boolean}
+ */
+export function isSupported(name) {
+  if (name === 'brotli') {
+    return typeof zlib.brotliCompressSync === 'function';
+  }
+  return Object.prototype.hasOwnProperty.call(ALGORITHMS, name);
+}
+
+/**
+ * Compresses the supplied buffer with the designated algorithm.
+ * @param {Buffer} buf
+ * @param {string} name algorithm name, i.e. "gzip", "deflate" or "brotli"
+ * @returns {Object} i.e. { content: Buffer, contentEncoding: string }
+ */
+export function compress(buf, name) {
+  const algorithm = ALGORITHMS[name];
+  return {
+    content: algorithm.compress(buf),
+    contentEncoding: algorithm.encoding
+  };
+}
+
+/**
+ * Decompresses the supplied buffer according to the designated content encoding.
+ * Buffers of any other content encoding, e.g. "identity", are returned as is.
+ * @param {Buffer} buf
+ * @param {string} [contentEncoding]
+ * @returns {Buffer}
+ */
+export function decompress(buf, contentEncoding) {
+  const algorithm = ENCODINGS[contentEncoding];
+
+  if (!algorithm) {
+    return buf;
+  }
+
+  try {
+    return algorithm.decompress(buf);
+  } catch (err) {
+    throw new Error(`Unable to decompress message; invalid "${contentEncoding}" content`);
+  }
+}
@@ -0,0 +1,45 @@
+/* eslint-env jest */
+
+import {
+  ALGORITHMS,
+  isSupported,
+  compress,
+  decompress
+} from './compression';
+
+describe('compression', () => {
+  const plaintext = Buffer.from(JSON.stringify({ foo: 'bar'.repeat(100) }), 'utf8');
+
+  Object.keys(ALGORITHMS).filter(isSupported).forEach((name) => {
+    describe(`@${name}`, () => {
+      it('compresses buffer, recording content encoding', () => {
+        const { content, contentEncoding } = compress(plaintext, name);
+        expect(contentEncoding).toBe(ALGORITHMS[name].encoding);
+        expect(content.length).toBeLessThan(plaintext.length);
+      });
+
+      it('decompresses buffer produced by compress()', () => {
+        const { content, contentEncoding } = compress(plaintext, name);
+        expect(decompress(content, contentEncoding).equals(plaintext)).toBe(true);
+      });
+    });
+  });
+
+  describe('isSupported()', () => {
+    it('returns false for unknown algorithm', () => {
+      expect(isSupported('lzma')).toBe(false);
+    });
+  });
+
+  describe('decompress()', () => {
+    it('returns buffer of unknown content encoding as is', () => {
+      expect(decompress(plaintext, 'identity')).toBe(plaintext);
+      expect(decompress(plaintext)).toBe(plaintext);
+    });
+
+    it('throws error when content is invalid', () => {
+      expect(() => decompress(plaintext, 'gzip'))
+        .toThrowError('Unable to decompress message; invalid "gzip" content');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+
+export const ALGORITHM = 'aes-256-gcm';
+export const LEGACY_ALGORITHM = 'aes128';
+
+const VERSION = 1;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KDF_SALT = 'amqp-message-bus';
+const KDF_ITERATIONS = 100000;
+
+const keys = new Map(); // cache of derived keys
+
+/**
+ * Derives a 256-bit key from the supplied secret, using PBKDF2.
+ * Derived keys are cached, as key derivation is deliberately slow.
+ * @param {string} secret
+ * @returns {Buffer}
+ */
+export function deriveKey(secret) {
+  if (!keys.has(secret)) {
+    keys.set(secret, crypto.pbkdf2Sync(secret, KDF_SALT, KDF_ITERATIONS, 32, 'sha256'));
+  }
+  return keys.get(secret);
+}
+
+/**
+ * Encrypts the supplied buffer with AES-256-GCM, using a random IV.
+ * The resulting envelope is laid out as version (1 byte) + IV (12 bytes) + auth tag (16 bytes) + ciphertext.
+ * @param {Buffer} buf
+ * @param {string} secret
+ * @returns {Buffer}
+ */
+export function encrypt(buf, secret) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(secret), iv);
+  const ciphertext = Buffer.concat([cipher.update(buf), cipher.final()]);
+  return Buffer.concat([Buffer.from([VERSION]), iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Decrypts the supplied AES-256-GCM envelope.
+ * Throws an error if the envelope is malformed or has been tampered with.
+ * @param {Buffer} buf
+ * @param {string} secret
+ * @returns {Buffer}
+ */
+export function decrypt(buf, secret) {
+  if (buf.length < 1 + IV_LENGTH + TAG_LENGTH) {
+    throw new Error('Unable to decrypt message; envelope is truncated');
+  }
+  if (buf[0] !== VERSION) {
+    throw new Error(`Unable to decrypt message; unsupported envelope version ${buf[0]}`);
+  }
+
+  const iv = buf.slice(1, 1 + IV_LENGTH);
+  const tag = buf.slice(1 + IV_LENGTH, 1 + IV_LENGTH + TAG_LENGTH);
+  const ciphertext = buf.slice(1 + IV_LENGTH + TAG_LENGTH);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, deriveKey(secret), iv);
+  decipher.setAuthTag(tag);
+
+  try {
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  } catch (err) {
+    throw new Error('Unable to decrypt message; authentication failed');
+  }
+}
+
+/**
+ * Decrypts the supplied buffer, as encrypted by the deprecated crypto.createCipher('aes128', secret).
+ * Derives key and IV the way OpenSSL's EVP_BytesToKey does, i.e. MD5 without salt,
+ * so that legacy messages remain readable on node versions lacking crypto.createDecipher().
+ * @param {Buffer} buf
+ * @param {string} secret
+ * @returns {Buffer}
+ */
+export function decryptLegacy(buf, secret) {
+  const password = Buffer.from(secret, 'utf8');
+  let material = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+
+  while (material.length < 32) {
+    block = crypto.createHash('md5').update(Buffer.concat([block, password])).digest();
+    material = Buffer.concat([material, block]);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-128-cbc', material.slice(0, 16), material.slice(16, 32));
+  return Buffer.concat([decipher.update(buf), decipher.final()]);
+}
@@ -0,0 +1,62 @@
+/* eslint-env jest */
+
+import crypto from 'crypto';
+import { encrypt, decrypt, decryptLegacy } from './encryption';
+
+describe('encryption', () => {
+  const secret = 'keep-it-safe';
+  const plaintext = Buffer.from(JSON.stringify({ a: 1, foo: 'bar' }), 'utf8');
+
+  describe('encrypt()', () => {
+    it('uses random IV, producing distinct ciphertext for identical payloads', () => {
+      expect(encrypt(plaintext, secret).equals(encrypt(plaintext, secret))).toBe(false);
+    });
+
+    it('produces versioned envelope', () => {
+      const envelope = encrypt(plaintext, secret);
+      expect(envelope[0]).toBe(1);
+      expect(envelope.length).toBe(1 + 12 + 16 + plaintext.length);
+    });
+  });
+
+  describe('decrypt()', () => {
+    it('decrypts envelope produced by encrypt()', () => {
+      expect(decrypt(encrypt(plaintext, secret), secret).equals(plaintext)).toBe(true);
+    });
+
+    it('throws error when envelope has been tampered with', () => {
+      const envelope = encrypt(plaintext, secret);
+      const last = envelope.length - 1;
+      envelope[last] = (envelope[last] + 1) % 256;
+      expect(() => decrypt(envelope, secret))
+        .toThrowError('Unable to decrypt message; authentication failed');
+    });
+
+    it('throws error when secret is wrong', () => {
+      expect(() => decrypt(encrypt(plaintext, secret), 'wrong-secret'))
+        .toThrowError('Unable to decrypt message; authentication failed');
+    });
+
+    it('throws error when envelope is truncated', () => {
+      expect(() => decrypt(Buffer.from([1, 2, 3]), secret))
+        .toThrowError('Unable to decrypt message; envelope is truncated');
+    });
+
+    it('throws error when envelope version is unsupported', () => {
+      const envelope = encrypt(plaintext, secret);
+      envelope[0] = 9;
+      expect(() => decrypt(envelope, secret))
+        .toThrowError('Unable to decrypt message; unsupported envelope version 9');
+    });
+  });
+
+  describe('decryptLegacy()', () => {
+    const itIfSupported = crypto.createCipher ? it : it.skip;
+
+    itIfSupported('decrypts buffer encrypted with crypto.createCipher()', () => {
+      const cipher = crypto.createCipher('aes128', secret);
+      const buf = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+      expect(decryptLegacy(buf, secret).equals(plaintext)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,24 @@
+import crypto from 'crypto';
+
+/**
+ * Returns the partition of the supplied key, using rendezvous (i.e. highest random weight) hashing,
+ * thus the same key always maps to the same partition, while changing the number of partitions
+ * only remaps the keys of the partitions added or removed.
+ * @param {string} key e.g. order ID
+ * @param {number} partitions number of partitions
+ * @returns {number} zero-based partition number
+ */
+export default function getPartition(key, partitions) {
+  let partition = 0;
+  let maxWeight = -1;
+
+  for (let i = 0; i < partitions; i += 1) {
+    const weight = crypto.createHash('md5').update(`${i}:${key}`).digest().readUInt32BE(0);
+    if (weight > maxWeight) {
+      partition = i;
+      maxWeight = weight;
+    }
+  }
+
+  return partition;
+}
@@ -0,0 +1,33 @@
+/* eslint-env jest */
+
+import getPartition from './partition';
+
+const keys = Array.from({ length: 1000 }, (value, i) => `order-${i}`);
+
+describe('getPartition()', () => {
+  it('maps the same key to the same partition', () => {
+    expect(getPartition('order-1', 8)).toBe(getPartition('order-1', 8));
+    expect(getPartition('order-1', 1)).toBe(0);
+  });
+
+  it('spreads keys across partitions', () => {
+    const counts = [0, 0, 0, 0];
+    keys.forEach((key) => {
+      counts[getPartition(key, 4)] += 1;
+    });
+
+    counts.forEach((count) => {
+      expect(count).toBeGreaterThan(200);
+      expect(count).toBeLessThan(300);
+    });
+  });
+
+  it('only remaps keys to partitions added', () => {
+    keys.forEach((key) => {
+      const partition = getPartition(key, 5);
+      if (partition !== 4) {
+        expect(partition).toBe(getPartition(key, 4));
+      }
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+
+export const ALGORITHMS = ['hmac-sha256', 'ed25519'];
+
+// message properties covered by the signature, besides the message body;
+// replyTo is left out, as the broker rewrites it when using direct reply-to
+const SIGNED_PROPERTIES = [
+  'messageId',
+  'type',
+  'timestamp',
+  'correlationId',
+  'contentType',
+  'contentEncoding',
+  'appId'
+];
+
+/**
+ * Indicates whether the designated algorithm is supported by the current Node.js version,
+ * e.g. ed25519 requires Node.js v.12+.
+ * @param {string} algorithm
+ * @returns {boolean}
+ */
+export function isSupported(algorithm) {
+  if (algorithm === 'ed25519') {
+    return typeof crypto.sign === 'function';
+  }
+  return ALGORITHMS.includes(algorithm);
+}
+
+/**
+ * Returns the data to sign for the supplied message, i.e. the signer ID and key message properties,
+ * serialized in fixed order, followed by the message body.
+ * @param {Buffer} content message body, as transmitted
+ * @param {Object} props message properties
+ * @param {string} signerId
+ * @returns {Buffer}
+ */
+export function getSignedData(content, props, signerId) {
+  const values = SIGNED_PROPERTIES.map((key) => (props[key] === undefined ? null : props[key]));
+  return Buffer.concat([Buffer.from(`${JSON.stringify([signerId].concat(values))}\n`, 'utf8'), content]);
+}
+
+/**
+ * Returns the public key matching the supplied ed25519 private key.
+ * @param {string|Buffer|KeyObject} privateKey PEM-encoded private key or KeyObject
+ * @returns {KeyObject}
+ */
+export function getPublicKey(privateKey) {
+  return crypto.createPublicKey(privateKey);
+}
+
+/**
+ * Signs the supplied data.
+ * @param {Buffer} data
+ * @param {string} algorithm either "hmac-sha256" or "ed25519"
+ * @param {string|Buffer|KeyObject} key HMAC secret or ed25519 private key
+ * @returns {string} base64-encoded signature
+ */
+export function sign(data, algorithm, key) {
+  if (algorithm === 'ed25519') {
+    return crypto.sign(null, data, key).toString('base64');
+  }
+  return crypto.createHmac('sha256', key).update(data).digest('base64');
+}
+
+/**
+ * Verifies the supplied signature of the given data.
+ * @param {Buffer} data
+ * @param {string} signature base64-encoded signature
+ * @param {string} algorithm either "hmac-sha256" or "ed25519"
+ * @param {string|Buffer|KeyObject} key HMAC secret or ed25519 public key
+ * @returns {boolean}
+ */
+export function verify(data, signature, algorithm, key) {
+  const buf = Buffer.from(signature, 'base64');
+
+  if (algorithm === 'ed25519') {
+    try {
+      return crypto.verify(null, data, key, buf);
+    } catch (err) {
+      return false; // e.g. malformed signature
+    }
+  }
+
+  const expected = crypto.createHmac('sha256', key).update(data).digest();
+  return buf.length === expected.length && crypto.timingSafeEqual(buf, expected);
+}
@@ -0,0 +1,69 @@
+/* eslint-env jest */
+
+import crypto from 'crypto';
+import {
+  isSupported,
+  getSignedData,
+  getPublicKey,
+  sign,
+  verify
+} from './signing';
+
+describe('signing', () => {
+  const content = Buffer.from(JSON.stringify({ a: 1, foo: 'bar' }), 'utf8');
+  const props = {
+    messageId: 'abc',
+    type: 'test',
+    timestamp: 1512122400000
+  };
+
+  describe('getSignedData()', () => {
+    it('covers signer ID, key message properties and body', () => {
+      const data = getSignedData(content, props, 'orders');
+      expect(data.equals(getSignedData(content, Object.assign({ priority: 10 }, props), 'orders'))).toBe(true);
+      expect(data.equals(getSignedData(content, Object.assign({}, props, { type: 'other' }), 'orders'))).toBe(false);
+      expect(data.equals(getSignedData(content, props, 'billing'))).toBe(false);
+      expect(data.equals(getSignedData(Buffer.from('{}'), props, 'orders'))).toBe(false);
+    });
+  });
+
+  describe('@hmac-sha256', () => {
+    const data = getSignedData(content, props, 'orders');
+
+    it('verifies signature produced by sign()', () => {
+      const signature = sign(data, 'hmac-sha256', 'keep-it-safe');
+      expect(verify(data, signature, 'hmac-sha256', 'keep-it-safe')).toBe(true);
+    });
+
+    it('rejects signature produced with different secret', () => {
+      const signature = sign(data, 'hmac-sha256', 'other-secret');
+      expect(verify(data, signature, 'hmac-sha256', 'keep-it-safe')).toBe(false);
+    });
+
+    it('rejects malformed signature', () => {
+      expect(verify(data, 'abc', 'hmac-sha256', 'keep-it-safe')).toBe(false);
+    });
+  });
+
+  if (isSupported('ed25519')) {
+    describe('@ed25519', () => {
+      const data = getSignedData(content, props, 'orders');
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+
+      it('verifies signature produced by sign()', () => {
+        const signature = sign(data, 'ed25519', privateKey);
+        expect(verify(data, signature, 'ed25519', publicKey)).toBe(true);
+        expect(verify(data, signature, 'ed25519', getPublicKey(privateKey))).toBe(true);
+      });
+
+      it('rejects signature produced with different key', () => {
+        const signature = sign(data, 'ed25519', crypto.generateKeyPairSync('ed25519').privateKey);
+        expect(verify(data, signature, 'ed25519', publicKey)).toBe(false);
+      });
+
+      it('rejects malformed signature', () => {
+        expect(verify(data, 'abc', 'ed25519', publicKey)).toBe(false);
+      });
+    });
+  }
+});
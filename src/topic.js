@@ -0,0 +1,34 @@
+/**
+ * Indicates whether the supplied key matches the given AMQP topic pattern,
+ * where "*" matches exactly one dot-separated word and "#" matches zero or more words.
+ * @param {string} pattern e.g. "user.*" or "order.#"
+ * @param {string} key e.g. routing key or message type
+ * @returns {boolean}
+ */
+export default function matchTopic(pattern, key) {
+  const match = (words, keys) => {
+    if (words.length === 0) {
+      return keys.length === 0;
+    }
+
+    const [word, ...rest] = words;
+
+    if (word === '#') {
+      // "#" matches zero or more words
+      for (let i = 0; i <= keys.length; i += 1) {
+        if (match(rest, keys.slice(i))) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    if (keys.length === 0) {
+      return false;
+    }
+
+    return (word === '*' || word === keys[0]) && match(rest, keys.slice(1));
+  };
+
+  return match(pattern.split('.'), key === '' ? [] : key.split('.'));
+}
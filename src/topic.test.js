@@ -0,0 +1,24 @@
+/* eslint-env jest */
+
+import matchTopic from './topic';
+
+describe('matchTopic()', () => {
+  it('matches exact keys', () => {
+    expect(matchTopic('user.created', 'user.created')).toBe(true);
+    expect(matchTopic('user.created', 'user.deleted')).toBe(false);
+  });
+
+  it('matches exactly one word with "*"', () => {
+    expect(matchTopic('user.*', 'user.created')).toBe(true);
+    expect(matchTopic('user.*', 'user')).toBe(false);
+    expect(matchTopic('user.*', 'user.created.v2')).toBe(false);
+  });
+
+  it('matches zero or more words with "#"', () => {
+    expect(matchTopic('user.#', 'user')).toBe(true);
+    expect(matchTopic('user.#', 'user.created.v2')).toBe(true);
+    expect(matchTopic('#', '')).toBe(true);
+    expect(matchTopic('#.created', 'order.created')).toBe(true);
+    expect(matchTopic('#.created', 'order.deleted')).toBe(false);
+  });
+});